@@ -0,0 +1,2700 @@
+const randomstring = require('randomstring');
+const { createRepositories, toObjects } = require('./storage');
+const { createSessionStore } = require('./storage/sessionStore');
+const { SCHEMA, ensureSchema } = require('./storage/schema');
+const { createBroadcaster } = require('./broadcast');
+const { createScheduler } = require('./scheduler');
+
+// --- Bot ---
+// Puts every handler, background job and repository onto a TelegramBot instance:
+//   bot     - a node-telegram-bot-api TelegramBot (a recording fake in tests); nothing here starts it
+//   storage - a storage backend behind the read cache (see storage/index.js)
+//   config  - loadConfig() from config.js
+// How updates arrive (polling or webhook) and process shutdown are up to index.js.
+function createBot({ bot, storage, config }) {
+  const {
+    ADMIN_ID,
+    ORDERS_NOTIFY_CHANNEL_ID,
+    UPI_ID,
+    UPI_NAME,
+    RESERVATION_MINUTES,
+    PROOF_TIMEOUT_MINUTES,
+    PENDING_REMINDER_MINUTES,
+    LOW_STOCK_THRESHOLD,
+    BROADCAST_PER_SECOND,
+    REFERRAL_COMMISSION_PERCENT,
+    FRAUD_DECLINE_LIMIT,
+    FRAUD_DECLINE_WINDOW_DAYS,
+    FRAUD_BLOCK_THRESHOLD,
+    DISCLAIMER_TEXT
+  } = config;
+
+  // --- Background Jobs (see scheduler.js) ---
+  const scheduler = createScheduler();
+
+  // --- Utility Functions for Sheets (Centralized) ---
+  // Every table read/write goes through these; errors are reported to the admin here
+  // so the backends can just throw.
+  const SHEET_ERROR_NOTIFY_INTERVAL_MS = 5 * 60 * 1000;
+  const lastSheetErrorNotice = {}; // 'op:sheet' -> timestamp of the last admin DM
+  const sheetErrorCounts = {};     // 'op:sheet' -> failures since start, for /metrics
+
+  // Logs every failure but DMs the admin at most once per operation/sheet every few
+  // minutes, so a quota outage doesn't flood their chat.
+  function reportSheetError(op, sheetName, error) {
+    console.error(`Sheet Error (${op}) ${sheetName}:`, error.message);
+    const key = `${op}:${sheetName}`;
+    sheetErrorCounts[key] = (sheetErrorCounts[key] || 0) + 1;
+    const now = Date.now();
+    if (lastSheetErrorNotice[key] && now - lastSheetErrorNotice[key] < SHEET_ERROR_NOTIFY_INTERVAL_MS) return;
+    lastSheetErrorNotice[key] = now;
+    notifyAdmins('errors', `⚠️ Sheet Error (${op}): ${sheetName} - ${error.message}`);
+  }
+
+  async function getSheetRows(sheetName) {
+    try {
+      return toObjects(await storage.readTable(sheetName));
+    } catch (error) {
+      reportSheetError('getRows', sheetName, error);
+      return [];
+    }
+  }
+
+  async function appendSheetRow(sheetName, rowData) {
+    return appendSheetRows(sheetName, [rowData]);
+  }
+
+  async function appendSheetRows(sheetName, rows) {
+    try {
+      await storage.appendRows(sheetName, rows);
+      return true;
+    } catch (error) {
+      reportSheetError('appendRow', sheetName, error);
+      return false;
+    }
+  }
+
+  async function updateSheetRow(sheetName, searchColumn, searchValue, newData) {
+    return withLock(`sheet:${sheetName}`, () => updateSheetRowUnlocked(sheetName, searchColumn, searchValue, newData));
+  }
+
+  // A change to a column the sheet doesn't have would otherwise be dropped without a word
+  // (e.g. a Balance update on a Users sheet missing that column), so it fails the whole write.
+  function checkColumns(sheetName, headers, newData) {
+    const missing = Object.keys(newData).filter(key => newData[key] !== undefined && !headers.includes(key));
+    if (missing.length > 0) throw new Error(`${sheetName} has no column ${missing.join(', ')}`);
+  }
+
+  async function updateSheetRowUnlocked(sheetName, searchColumn, searchValue, newData) {
+    try {
+      const rows = toObjects(await storage.readTable(sheetName, { fresh: true })); // Row numbers must be current
+      const rowIndex = rows.findIndex(row => row[searchColumn] === searchValue);
+      if (rowIndex === -1) return false;
+
+      const rowData = rows[rowIndex];
+      const headers = Object.keys(rowData);
+      checkColumns(sheetName, headers, newData);
+      let newRow = headers.map(header => newData[header] !== undefined ? newData[header] : rowData[header]);
+
+      await storage.updateRow(sheetName, rowIndex + 2, newRow); // +2 because header row + 0-based index
+      return true;
+    } catch (error) {
+      reportSheetError('updateRow', sheetName, error);
+      return false;
+    }
+  }
+
+  // Applies the same change to every row whose searchColumn is one of searchValues, in a
+  // single write. Returns false (and changes nothing) if any of them is missing.
+  async function updateSheetRows(sheetName, searchColumn, searchValues, newData) {
+    return withLock(`sheet:${sheetName}`, async () => {
+      try {
+        const rows = toObjects(await storage.readTable(sheetName, { fresh: true }));
+        if (rows.length > 0) checkColumns(sheetName, Object.keys(rows[0]), newData);
+        const wanted = new Set(searchValues);
+        const updates = [];
+        rows.forEach((row, i) => {
+          if (!wanted.has(row[searchColumn])) return;
+          wanted.delete(row[searchColumn]);
+          updates.push({ rowNumber: i + 2, values: Object.keys(row).map(header => newData[header] !== undefined ? newData[header] : row[header]) });
+        });
+        if (wanted.size > 0) return false;
+
+        await storage.updateRows(sheetName, updates);
+        return true;
+      } catch (error) {
+        reportSheetError('updateRows', sheetName, error);
+        return false;
+      }
+    });
+  }
+
+  // Deletes every row whose searchColumn equals searchValue, leaving the header and all
+  // other rows untouched. Updates and deletes are serialised per sheet because they
+  // address rows by number, and a delete shifts the rows below it.
+  async function deleteSheetRow(sheetName, searchColumn, searchValue) {
+    return withLock(`sheet:${sheetName}`, async () => {
+      try {
+        const values = await storage.readTable(sheetName, { fresh: true });
+        const column = values.length > 0 ? values[0].indexOf(searchColumn) : -1;
+        if (column === -1) return false;
+
+        const rowNumbers = [];
+        values.forEach((row, i) => {
+          if (i > 0 && row[column] === searchValue) rowNumbers.push(i + 1); // i is 0-based, sheet rows are 1-based
+        });
+        if (rowNumbers.length === 0) return false;
+
+        await storage.deleteRows(sheetName, rowNumbers);
+        return true;
+      } catch (error) {
+        reportSheetError('deleteRow', sheetName, error);
+        return false;
+      }
+    });
+  }
+
+  // --- Repositories: Users, Categories, Orders, Inventory, Reservations, Sessions, Wallet, Coupons, Logs ---
+  const db = createRepositories({
+    getRows: getSheetRows,
+    appendRow: appendSheetRow,
+    appendRows: appendSheetRows,
+    updateRow: updateSheetRow,
+    updateRows: updateSheetRows,
+    deleteRow: deleteSheetRow
+  });
+
+  // --- Logging Function (for fraud detection etc.) ---
+  async function logActivity(userId, action, details) {
+    await db.logs.add(userId, action, details);
+  }
+
+  // --- Admins, Roles & Permissions ---
+  // Admins columns: UserID, Name, Role   (Role may list several, e.g. "order-approver, support")
+  // owner          - everything
+  // order-approver - approve/decline orders, gets new-order alerts
+  // support        - support messages, DM and block users
+  const PERMISSION_ROLES = {
+    panel: ['owner', 'order-approver', 'support'],
+    stats: ['owner'],
+    orders: ['owner', 'order-approver'],
+    catalog: ['owner'],
+    broadcast: ['owner'],
+    users: ['owner', 'support'],
+    support: ['owner', 'support'],
+    errors: ['owner'],
+  };
+
+  // adm_* callback prefixes and admin conversation states -> permission needed.
+  // Anything not listed falls back to owner-only.
+  const ADMIN_CALLBACK_PERMISSIONS = [
+    ['adm_panel', 'panel'], ['adm_stats', 'stats'],
+    ['adm_approve_', 'orders'], ['adm_decline_', 'orders'], ['adm_partial_', 'orders'], ['adm_credit_', 'orders'],
+    ['adm_add_cat_', 'catalog'], ['adm_del_cat_', 'catalog'], ['adm_add_stock_', 'catalog'], ['adm_view_stock_', 'catalog'],
+    ['adm_remove_stock_', 'catalog'], ['adm_pricing_menu', 'catalog'], ['adm_select_tier_pricing_', 'catalog'], ['adm_input_tier_price_', 'catalog'],
+    ['adm_coupon', 'catalog'],
+    ['adm_bc_', 'broadcast'],
+    ['adm_dm_', 'users'], ['adm_block_', 'users'],
+    ['adm_tickets', 'support'], ['adm_tk_', 'support'],
+  ];
+  const ADMIN_STATE_PERMISSIONS = {
+    adm_waiting_for_decline_reason: 'orders',
+    adm_waiting_for_cat_value: 'catalog',
+    adm_waiting_for_cat_price: 'catalog',
+    adm_waiting_for_stock_cat_select: 'catalog',
+    adm_waiting_for_voucher_codes: 'catalog',
+    adm_confirming_stock_import: 'catalog',
+    adm_waiting_for_code_to_remove: 'catalog',
+    adm_waiting_for_tier_selection: 'catalog',
+    adm_waiting_for_tier_price_input: 'catalog',
+    adm_waiting_for_coupon: 'catalog',
+    adm_waiting_for_broadcast_message: 'broadcast',
+    adm_waiting_for_broadcast_days: 'broadcast',
+    adm_waiting_for_dm_target_id: 'users',
+    adm_waiting_for_dm_message: 'users',
+    adm_waiting_for_block_id: 'users',
+    adm_waiting_for_ticket_reply: 'support',
+  };
+
+  // Reads the sheet straight from storage and never reports failures through
+  // reportSheetError, which itself needs this list to know who to tell.
+  async function getAdmins() {
+    let rows = [];
+    try {
+      rows = toObjects(await storage.readTable('Admins'));
+    } catch (error) {
+      console.error("Error reading Admins sheet:", error.message);
+    }
+    const admins = rows
+      .filter(row => row.UserID && row.Role)
+      .map(row => ({ userId: parseInt(row.UserID), name: row.Name, roles: row.Role.split(',').map(r => r.trim().toLowerCase()) }));
+    if (!isNaN(ADMIN_ID) && !admins.some(a => a.userId === ADMIN_ID)) {
+      admins.push({ userId: ADMIN_ID, name: 'Owner', roles: ['owner'] });
+    }
+    return admins;
+  }
+
+  async function getAdminRoles(userId) {
+    const admin = (await getAdmins()).find(a => a.userId === userId);
+    return admin ? admin.roles : [];
+  }
+
+  async function hasPermission(userId, permission) {
+    const allowed = PERMISSION_ROLES[permission] || ['owner'];
+    const roles = await getAdminRoles(userId);
+    return roles.some(role => allowed.includes(role));
+  }
+
+  function permissionForCallback(data) {
+    const match = ADMIN_CALLBACK_PERMISSIONS.find(([prefix]) => data.startsWith(prefix));
+    return match ? match[1] : 'owner';
+  }
+
+  // The single gate for admin actions: checks the permission and records refusals.
+  async function authorizeAdmin(userId, permission, action) {
+    if (await hasPermission(userId, permission)) return true;
+    await logActivity(userId, 'Admin Access Denied', `${action} (needs ${permission})`);
+    return false;
+  }
+
+  // Sends to every admin whose role covers the permission (e.g. new orders -> 'orders').
+  // Returns how many admins the message reached.
+  async function notifyAdmins(permission, text, options = {}) {
+    const allowed = PERMISSION_ROLES[permission] || ['owner'];
+    const admins = (await getAdmins()).filter(a => a.roles.some(role => allowed.includes(role)));
+    let reached = 0;
+    for (const admin of admins) {
+      try {
+        await bot.sendMessage(admin.userId, text, options);
+        reached++;
+      } catch (error) {
+        console.error(`Failed to notify admin ${admin.userId}:`, error.message);
+      }
+    }
+    return reached;
+  }
+
+  async function notifyAdminsPhoto(permission, photo, options = {}) {
+    const allowed = PERMISSION_ROLES[permission] || ['owner'];
+    const admins = (await getAdmins()).filter(a => a.roles.some(role => allowed.includes(role)));
+    for (const admin of admins) {
+      try {
+        await bot.sendPhoto(admin.userId, photo, options);
+      } catch (error) {
+        console.error(`Failed to notify admin ${admin.userId}:`, error.message);
+      }
+    }
+  }
+
+  // --- Conversation State (persisted, with a lifetime per state; see storage/sessionStore.js) ---
+  // Minutes a user may sit in each state before it is dropped.
+  const SESSION_TTL_MINUTES = {
+    waiting_for_captcha: 10,
+    waiting_for_qty_selection: 15,
+    waiting_for_custom_qty_input: 15,
+    waiting_for_payment: RESERVATION_MINUTES + 5, // Outlives the hold so the expiry notice can still find it
+    waiting_for_coupon: RESERVATION_MINUTES + 5,
+    waiting_for_screenshot: PROOF_TIMEOUT_MINUTES + 5, // Outlives the order so its expiry can clear it
+    waiting_for_utr: PROOF_TIMEOUT_MINUTES + 5,
+    submitting_order: 5,
+    waiting_for_recovery_oid: 10,
+    in_support_mode: 60,
+    waiting_for_ticket_order: 10,
+    admin: 30, // Any adm_* state
+    default: 30
+  };
+  const sessions = createSessionStore({ db, ttlMinutes: SESSION_TTL_MINUTES, withLock });
+
+  scheduler.every('sweeping sessions', 60, () => sessions.sweep());
+
+  // --- Critical Sections ---
+  // The sheet helpers only lock a sheet for the length of one read-and-write, so a change
+  // that spans several calls and must not interleave with another (handing out codes,
+  // changing an order's status) runs inside its own withLock.
+  // Tasks with the same key run one after another; different keys run in parallel.
+  const locks = {};
+
+  async function withLock(key, task) {
+    const previous = locks[key] || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    locks[key] = tail;
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (locks[key] === tail) delete locks[key];
+    }
+  }
+
+  // --- Inventory ---
+  // One row per voucher code; a category's stock is simply its available rows.
+  // Status: available -> reserved (being delivered, OrderID set) -> sold, or void (removed by an admin).
+  // Codes used to live newline-joined in Categories.VoucherCodes; migrateLegacyStock() moves them here.
+  async function listCategoryCodes(categoryId, status = 'available') {
+    return (await db.inventory.list()).filter(item => item.CategoryID === categoryId && item.Status === status);
+  }
+
+  // { categoryId: available codes } for every category with stock.
+  async function getStockCounts() {
+    const counts = {};
+    (await db.inventory.list()).forEach(item => {
+      if (item.Status === 'available') counts[item.CategoryID] = (counts[item.CategoryID] || 0) + 1;
+    });
+    return counts;
+  }
+
+  async function getStock(categoryId) {
+    return (await listCategoryCodes(categoryId)).length;
+  }
+
+  function inventoryRow(categoryId, code) {
+    return [categoryId, code, 'available', new Date().toLocaleString(), ''];
+  }
+
+  // Moves codes still sitting in the old Categories.VoucherCodes cells into Inventory. The
+  // cell is only cleared once its codes are saved, so a failed run is simply retried next start.
+  async function migrateLegacyStock() {
+    let moved = 0;
+    const categories = await db.categories.list();
+    for (const cat of categories.filter(c => c.VoucherCodes && c.VoucherCodes.trim())) {
+      await withLock(`category:${cat.CategoryID}`, async () => {
+        const known = new Set((await db.inventory.list()).map(item => item.Code));
+        const codes = [...new Set(cat.VoucherCodes.split('\n').map(c => c.trim()).filter(c => c.length > 0))].filter(c => !known.has(c));
+        if (codes.length > 0 && !(await db.inventory.addMany(codes.map(code => inventoryRow(cat.CategoryID, code))))) return;
+        if (await db.categories.update(cat.CategoryID, { VoucherCodes: '', Stock: '' })) moved += codes.length;
+      });
+    }
+    return moved;
+  }
+
+
+  // --- Stock Reservations ---
+  // A hold is taken when the payment summary is shown so nobody else can buy the same
+  // codes while the buyer pays. Holds live in the 'Reservations' sheet so they survive
+  // a restart.
+  // Reservations columns: ReservationID, UserID, CategoryID, Quantity, Status, ExpiresAt, OrderID, CreatedAt
+  // Status: Active (buyer is paying) -> Ordered (proof submitted) -> Consumed | Released | Expired
+
+  function isHoldActive(reservation, now = Date.now()) {
+    if (reservation.Status === 'Ordered') return true;
+    return reservation.Status === 'Active' && Date.parse(reservation.ExpiresAt) > now;
+  }
+
+  async function getHeldQuantity(categoryId) {
+    const reservations = await db.reservations.list();
+    return reservations
+      .filter(r => r.CategoryID === categoryId && isHoldActive(r))
+      .reduce((sum, r) => sum + (parseInt(r.Quantity) || 0), 0);
+  }
+
+  // Stock minus everything currently held for buyers who are paying or awaiting approval.
+  async function getAvailableStock(category) {
+    const stock = await getStock(category.CategoryID);
+    const held = await getHeldQuantity(category.CategoryID);
+    return Math.max(stock - held, 0);
+  }
+
+  async function releaseUserHolds(userId, status = 'Released') {
+    const reservations = await db.reservations.list();
+    const active = reservations.filter(r => r.UserID === userId.toString() && r.Status === 'Active');
+    for (const r of active) {
+      await db.reservations.update(r.ReservationID, { Status: status });
+    }
+  }
+
+  async function reserveStock(userId, categoryId, qty) {
+    return withLock(`category:${categoryId}`, async () => {
+      await releaseUserHolds(userId);
+
+      const cat = await db.categories.get(categoryId);
+      if (!cat) return { error: 'not_found', available: 0 };
+
+      const available = await getAvailableStock(cat);
+      if (qty > available) return { error: 'insufficient', available: available };
+
+      const reservationId = 'RSV' + randomstring.generate({ length: 8, charset: 'alphanumeric', capitalization: 'uppercase' });
+      const expiresAt = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+      const saved = await db.reservations.add([reservationId, userId.toString(), categoryId, qty.toString(), 'Active', expiresAt.toISOString(), '', new Date().toLocaleString()]);
+      if (!saved) return { error: 'save_failed', available: available };
+      return { reservationId: reservationId, expiresAt: expiresAt };
+    });
+  }
+
+  // Turns the buyer's hold into an order hold (no expiry until the admin acts on it).
+  // Returns false when the hold already lapsed.
+  async function attachReservationToOrder(reservationId, orderId) {
+    const reservation = await db.reservations.get(reservationId);
+    if (!reservation || !isHoldActive(reservation)) return false;
+    return db.reservations.update(reservationId, { Status: 'Ordered', OrderID: orderId });
+  }
+
+  async function closeOrderReservation(orderId, status) {
+    const reservations = await db.reservations.list();
+    const reservation = reservations.find(r => r.OrderID === orderId && r.Status === 'Ordered');
+    if (reservation) {
+      await db.reservations.update(reservation.ReservationID, { Status: status });
+    }
+  }
+
+  // Marks lapsed holds as Expired and lets the buyer know if they're still mid-checkout.
+  async function expireReservations() {
+    const now = Date.now();
+    const reservations = await db.reservations.list();
+    const lapsed = reservations.filter(r => r.Status === 'Active' && Date.parse(r.ExpiresAt) <= now);
+    for (const r of lapsed) {
+      await db.reservations.update(r.ReservationID, { Status: 'Expired' });
+      const checkout = sessions.get(r.UserID);
+      if (checkout && checkout.reservationId === r.ReservationID && ['waiting_for_payment', 'waiting_for_coupon'].includes(checkout.state)) {
+        await sessions.clear(r.UserID);
+        bot.sendMessage(parseInt(r.UserID), `⌛ Your hold on ${r.Quantity} codes has expired. Please start again from 🛍️ Buy Vouchers if you still want them.`, { parse_mode: 'Markdown' });
+      }
+    }
+  }
+
+  scheduler.every('expiring reservations', 60, expireReservations);
+
+
+  // --- Wallet ---
+  // A buyer's balance lives in the Users sheet's Balance column; every change to it is also
+  // written to the 'Wallet' ledger so the balance can always be explained.
+  // Wallet columns: TxID, UserID, Type, Amount, Balance, Reason, OrderID, Date
+  function getBalance(user) {
+    const balance = parseFloat(user && user.Balance);
+    return isNaN(balance) ? 0 : balance;
+  }
+
+  function generateTxId() {
+    return 'TX' + randomstring.generate({ length: 8, charset: 'alphanumeric', capitalization: 'uppercase' });
+  }
+
+  // Adds `amount` to the user's balance (negative to spend). Serialised per user so two
+  // checkouts can't spend the same money. Returns { balance } or { error: 'not_found'|'insufficient'|'save_failed' }.
+  async function changeBalance(userId, amount, reason, orderId = '') {
+    return withLock(`wallet:${userId}`, async () => {
+      const user = await db.users.get(userId);
+      if (!user) return { error: 'not_found' };
+
+      const current = getBalance(user);
+      const balance = Math.round((current + amount) * 100) / 100;
+      if (balance < 0) return { error: 'insufficient', balance: current };
+
+      if (!(await db.users.update(userId.toString(), { Balance: balance.toFixed(2) }))) return { error: 'save_failed' };
+      const recorded = await db.wallet.add([generateTxId(), userId.toString(), amount >= 0 ? 'Credit' : 'Debit', Math.abs(amount).toFixed(2), balance.toFixed(2), reason, orderId, new Date().toLocaleString()]);
+      if (!recorded) {
+        // No ledger entry, no balance change.
+        await db.users.update(userId.toString(), { Balance: current.toFixed(2) });
+        return { error: 'save_failed' };
+      }
+      return { balance: balance };
+    });
+  }
+
+
+  // --- Referrals ---
+  // `/start ref_<userId>` links. The referrer is kept in the session until the captcha is
+  // solved and then written to the new user's ReferredBy column (the last Users column).
+  // On the referred user's first successful order the referrer gets a share of it in their wallet.
+  const REFERRAL_REWARD_REASON = 'Referral reward';
+  const MAX_REFERRAL_CHAIN = 50; // Guards the loop check against a hand-edited cycle in the sheet
+
+  // Returns the referrer to record for `userId`, or '' if the link isn't usable: unknown or
+  // unverified referrer, self-referral, or a referrer who (directly or further up) was referred by this user.
+  async function validReferrer(userId, referrerId) {
+    if (!referrerId || referrerId === userId.toString()) return '';
+    const users = await db.users.list();
+    const byId = {};
+    users.forEach(u => { byId[u.UserID] = u; });
+
+    const referrer = byId[referrerId];
+    if (!referrer || referrer.Verified !== 'Yes') return '';
+    let current = referrer;
+    for (let i = 0; current && current.ReferredBy && i < MAX_REFERRAL_CHAIN; i++) {
+      if (current.ReferredBy === userId.toString()) return '';
+      current = byId[current.ReferredBy];
+    }
+    return referrerId;
+  }
+
+  // Called with the order lock held, once the order is Successful. Only the user's first
+  // successful order pays out; the reward amount is kept on its ReferralReward column.
+  async function rewardReferrer(order) {
+    return withLock(`referral:${order.UserID}`, async () => {
+      const user = await db.users.get(order.UserID);
+      if (!user || !user.ReferredBy) return;
+      const orders = await db.orders.listByUser(order.UserID);
+      if (orders.some(o => o.ReferralReward || (o.Status === 'Successful' && o.OrderID !== order.OrderID))) return;
+
+      const reward = Math.round(orderRevenue(order) * REFERRAL_COMMISSION_PERCENT) / 100;
+      if (reward <= 0) return;
+      const credited = await changeBalance(user.ReferredBy, reward, `${REFERRAL_REWARD_REASON}: order ${order.OrderID}`, order.OrderID);
+      if (credited.error) {
+        notifyAdmins('orders', `⚠️ Referral reward of ₹${reward.toFixed(2)} for order \`${order.OrderID}\` could not be credited to \`${user.ReferredBy}\`.`, { parse_mode: 'Markdown' });
+        return;
+      }
+      await db.orders.update(order.OrderID, { ReferralReward: reward.toFixed(2) });
+      await logActivity(user.ReferredBy, 'Referral Reward', `${order.OrderID} | ₹${reward.toFixed(2)} from ${order.UserID}`);
+      try {
+        await bot.sendMessage(parseInt(user.ReferredBy), `🎉 **Referral Reward!**\n\nSomeone you invited just completed their first order. ₹${reward.toFixed(2)} has been added to your 💰 Wallet.`, { parse_mode: 'Markdown' });
+      } catch (error) {
+        console.error(`Could not notify referrer ${user.ReferredBy}:`, error.message);
+      }
+    });
+  }
+
+  let botUsername = null;
+
+  async function showReferrals(chatId, userId) {
+    if (!botUsername) botUsername = (await bot.getMe()).username;
+    const users = await db.users.list();
+    const invited = users.filter(u => u.ReferredBy === userId.toString()).length;
+    const earned = (await db.wallet.listByUser(userId))
+      .filter(t => t.Type === 'Credit' && (t.Reason || '').startsWith(REFERRAL_REWARD_REASON))
+      .reduce((sum, t) => sum + (parseFloat(t.Amount) || 0), 0);
+
+    const text = `🤝 **Refer & Earn**\n\nShare your link. When someone joins through it and completes their first order, you get ${REFERRAL_COMMISSION_PERCENT}% of it in your 💰 Wallet.\n\n` +
+      `🔗 Your link:\n\`https://t.me/${botUsername}?start=ref_${userId}\`\n\nInvited: ${invited}\nEarned: ₹${earned.toFixed(2)}`;
+    return bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+  }
+
+
+  // --- Reply Keyboard Definitions ---
+  const mainMenuKeyboard = {
+    keyboard: [
+      [{ text: "🛍️ Buy Vouchers" }, { text: "📦 My Orders" }],
+      [{ text: "🔄 Recover Vouchers" }, { text: "💰 Wallet" }],
+      [{ text: "🤝 Refer & Earn" }, { text: "🆘 Support" }],
+      [{ text: "📜 Disclaimer" }]
+    ],
+    resize_keyboard: true
+  };
+
+  // Texts of the main menu buttons; pressing one always abandons whatever the user was doing.
+  const MENU_BUTTONS = mainMenuKeyboard.keyboard.flat().map(button => button.text);
+
+  const cancelKeyboard = {
+    keyboard: [[{ text: "/cancel" }]],
+    resize_keyboard: true,
+    one_time_keyboard: false
+  };
+
+
+  // --- Helper Function: Escape Markdown ---
+  // For text users control (names, support messages) going into a parse_mode 'Markdown'
+  // message: a single stray _ * ` or [ would make Telegram reject the whole message.
+  function escapeMarkdown(text) {
+    return String(text || '').replace(/[_*`[]/g, '\\$&');
+  }
+
+  // --- Helper Function: Show Main Menu ---
+  async function showMainMenu(chatId) {
+    await bot.sendMessage(chatId, "🏠 **Main Menu**\n\nWelcome back! Choose an option from below:", {
+      parse_mode: 'Markdown',
+      reply_markup: mainMenuKeyboard
+    });
+  }
+
+  // --- Helper Function: Abandon Current Conversation ---
+  // Clears the user's state and gives back any codes they were holding at checkout.
+  async function resetConversation(userId) {
+    const session = sessions.get(userId);
+    await sessions.clear(userId);
+    if (session && session.reservationId) await releaseUserHolds(userId);
+  }
+
+  // --- Helper Function: Refuse Blocked Users ---
+  // For buttons and replies left over from before a block: drops whatever the user was in the
+  // middle of (giving back held codes) and tells them. Returns true if the user is blocked.
+  async function refuseIfBlocked(chatId, userId) {
+    const userRecord = await db.users.get(userId);
+    if (!userRecord || userRecord.Status !== 'Blocked') return false;
+    await resetConversation(userId);
+    await bot.sendMessage(chatId, "🚫 **Access Denied**\nYou are blocked from this bot. Please use the 🆘 Support button to contact Admin.", { parse_mode: 'Markdown' });
+    return true;
+  }
+
+  // --- Helper Function: Send CAPTCHA ---
+  async function sendCaptcha(chatId, userId) {
+    const n1 = Math.floor(Math.random() * 10) + 1;
+    const n2 = Math.floor(Math.random() * 10) + 1;
+    const answer = n1 + n2;
+
+    const pending = sessions.get(userId);
+    await sessions.set(userId, { state: 'waiting_for_captcha', answer: answer, referrerId: pending && pending.referrerId });
+
+    await bot.sendMessage(chatId, `🤖 **Security Check**\n\nSolve this to prove you are human:\n\`${n1} + ${n2} = ?\`\n\nType the answer below:`, { parse_mode: 'Markdown' });
+  }
+
+  // --- Helper Function: Tiered Pricing ---
+  // Categories columns: Price1, Price2, Price3, Price4, Price5, Price10, Price20Plus.
+  // A quantity uses the biggest tier it qualifies for (e.g. 7 codes -> Price5).
+  function getTierPrice(category, qty) {
+    let column;
+    if (qty >= 20) column = 'Price20Plus';
+    else if (qty >= 10) column = 'Price10';
+    else if (qty >= 5) column = 'Price5';
+    else column = `Price${qty}`;
+
+    const price = parseFloat(category[column] || category.Price1 || category.Price);
+    return isNaN(price) ? 0 : price;
+  }
+
+  // --- Coupons ---
+  // Coupons columns: Code, Type (percent|fixed), Value, CategoryID, MinQty, ExpiresAt, MaxUses, PerUserLimit, Uses, Status, CreatedAt
+  // Blank CategoryID/MinQty/ExpiresAt/MaxUses/PerUserLimit mean "no restriction". Uses only counts
+  // approved orders; pending orders holding a code count against the limits while they wait.
+  function couponDiscount(coupon, subtotal) {
+    const value = parseFloat(coupon.Value) || 0;
+    const discount = coupon.Type === 'percent' ? subtotal * value / 100 : value;
+    return Math.round(Math.min(discount, subtotal) * 100) / 100;
+  }
+
+  // Returns { coupon, discount } or { error } with a message for the buyer.
+  async function checkCoupon(code, userId, categoryId, qty, subtotal) {
+    const coupon = await db.coupons.get(code.toUpperCase());
+    if (!coupon || coupon.Status !== 'Active') return { error: "❌ That coupon code is not valid." };
+    if (coupon.ExpiresAt && Date.parse(coupon.ExpiresAt) < Date.now()) return { error: "❌ That coupon has expired." };
+    if (coupon.CategoryID && coupon.CategoryID !== categoryId) return { error: "❌ That coupon can't be used on this voucher." };
+    if (coupon.MinQty && qty < parseInt(coupon.MinQty)) return { error: `❌ That coupon needs at least ${coupon.MinQty} codes in the order.` };
+
+    const orders = (await db.orders.list()).filter(o => o.CouponCode === coupon.Code);
+    const pending = orders.filter(o => o.Status === 'Pending').length;
+    if (coupon.MaxUses && (parseInt(coupon.Uses) || 0) + pending >= parseInt(coupon.MaxUses)) return { error: "❌ That coupon has been fully used." };
+    const byUser = orders.filter(o => o.UserID === userId.toString() && ['Pending', 'Successful'].includes(o.Status)).length;
+    if (coupon.PerUserLimit && byUser >= parseInt(coupon.PerUserLimit)) return { error: "❌ You have already used that coupon." };
+
+    const discount = couponDiscount(coupon, subtotal);
+    if (discount <= 0) return { error: "❌ That coupon gives no discount on this order." };
+    return { coupon: coupon, discount: discount };
+  }
+
+  // Counted when an order using the coupon is approved (see approveOrder).
+  async function recordCouponUse(code) {
+    return withLock(`coupon:${code}`, async () => {
+      const coupon = await db.coupons.get(code);
+      if (!coupon) return false;
+      return db.coupons.update(code, { Uses: ((parseInt(coupon.Uses) || 0) + 1).toString() });
+    });
+  }
+
+  // Admin input: "CODE percent|fixed VALUE [cat=cat_500] [min=2] [expires=2026-12-31] [max=100] [per_user=1]"
+  // Returns the Coupons row values or { error }.
+  function parseCouponSpec(text, categoryIds) {
+    const [code, type, value, ...options] = text.trim().split(/\s+/);
+    if (!code || !/^[A-Z0-9]{3,20}$/i.test(code)) return { error: "❌ The code must be 3-20 letters or digits." };
+    if (!['percent', 'fixed'].includes((type || '').toLowerCase())) return { error: "❌ The type must be `percent` or `fixed`." };
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount <= 0 || (type.toLowerCase() === 'percent' && amount > 100)) return { error: "❌ Invalid discount value." };
+
+    const limits = { cat: '', min: '', expires: '', max: '', per_user: '' };
+    for (const option of options) {
+      const [key, optionValue] = option.split('=');
+      if (!(key in limits) || !optionValue) return { error: `❌ Unknown option \`${option}\`.` };
+      limits[key] = optionValue;
+    }
+    if (limits.cat && !categoryIds.includes(limits.cat)) return { error: `❌ Category \`${limits.cat}\` does not exist.` };
+    if (limits.expires && isNaN(Date.parse(limits.expires))) return { error: "❌ Invalid expiry date. Use YYYY-MM-DD." };
+    for (const key of ['min', 'max', 'per_user']) {
+      if (limits[key] && !(parseInt(limits[key]) > 0)) return { error: `❌ \`${key}\` must be a positive number.` };
+    }
+    // A bare date expires at the end of that day.
+    const expiresAt = limits.expires ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(limits.expires) ? `${limits.expires}T23:59:59` : limits.expires).toISOString() : '';
+    return { values: [code.toUpperCase(), type.toLowerCase(), amount.toFixed(2), limits.cat, limits.min, expiresAt, limits.max, limits.per_user, '0', 'Active', new Date().toLocaleString()] };
+  }
+
+  function generateOrderId() {
+    return 'SVH' + randomstring.generate({ length: 8, charset: 'alphanumeric', capitalization: 'uppercase' });
+  }
+
+  // --- Checkout: Quantity -> Payment Summary ---
+  async function processQuantityAndShowPayment(chatId, userId, categoryId, qty) {
+    const cat = await db.categories.get(categoryId);
+    if (!cat) {
+      return bot.sendMessage(chatId, "❌ Error: Selected category not found. Please try again.", { parse_mode: 'Markdown' });
+    }
+
+    const unitPrice = getTierPrice(cat, qty);
+    if (unitPrice <= 0) {
+      notifyAdmins('catalog', `⚠️ No price set for ${categoryId} (qty ${qty}).`);
+      return bot.sendMessage(chatId, "❌ This voucher is not available for sale right now. Please try again later.", { parse_mode: 'Markdown' });
+    }
+    const amount = unitPrice * qty;
+
+    const hold = await reserveStock(userId, categoryId, qty);
+    if (hold.error) {
+      if (hold.error === 'save_failed') {
+        return bot.sendMessage(chatId, "❌ Could not reserve your codes right now. Please try again in a moment.", { parse_mode: 'Markdown' });
+      }
+      return bot.sendMessage(chatId, `❌ **Not enough stock!**\nOnly ${hold.available} codes of ₹${cat.Value} are available right now.`, { parse_mode: 'Markdown' });
+    }
+
+    await sessions.set(userId, { state: 'waiting_for_payment', categoryId: categoryId, qty: qty, unitPrice: unitPrice, subtotal: amount, couponCode: '', discount: 0, amount: amount, walletAmount: 0, reservationId: hold.reservationId });
+    return showPaymentSummary(chatId, userId);
+  }
+
+  // Drawn from the checkout session, so switching the wallet on or off can redraw it in place.
+  async function showPaymentSummary(chatId, userId, messageId = null) {
+    const checkout = sessions.get(userId);
+    if (!checkout || checkout.state !== 'waiting_for_payment') {
+      return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+    }
+    const cat = await db.categories.get(checkout.categoryId);
+    const balance = getBalance(await db.users.get(userId));
+    const walletAmount = checkout.walletAmount || 0;
+    const toPay = checkout.amount - walletAmount;
+
+    let text = `🧾 **Order Summary**\n\nVoucher: ₹${cat ? cat.Value : checkout.categoryId} Shein Voucher\nQuantity: ${checkout.qty}\nRate: ₹${checkout.unitPrice.toFixed(2)} / code`;
+    if (checkout.couponCode) text += `\nSubtotal: ₹${checkout.subtotal.toFixed(2)}\n🏷️ Coupon \`${checkout.couponCode}\`: -₹${checkout.discount.toFixed(2)}`;
+    text += `\n**Total: ₹${checkout.amount.toFixed(2)}**`;
+    const buttons = [];
+    if (walletAmount > 0) text += `\nFrom wallet: -₹${walletAmount.toFixed(2)}`;
+    if (toPay <= 0) {
+      text += walletAmount > 0
+        ? `\n\n💰 Paid in full from your wallet (balance ₹${balance.toFixed(2)}). Your codes are delivered as soon as you confirm.`
+        : `\n\n🎉 Nothing to pay. Your codes are delivered as soon as you confirm.`;
+      buttons.push([{ text: walletAmount > 0 ? `✅ Pay ₹${checkout.amount.toFixed(2)} from Wallet` : "✅ Confirm Order", callback_data: 'wallet_confirm' }]);
+    } else {
+      if (walletAmount > 0) text += `\n**To pay: ₹${toPay.toFixed(2)}**`;
+      text += `\n\n💳 **Pay via UPI**\nUPI ID: \`${UPI_ID}\`\nName: ${UPI_NAME}\n\n⏳ Your codes are held for ${RESERVATION_MINUTES} minutes. Pay the exact amount, then tap the button below to submit your payment proof.`;
+      buttons.push([{ text: "✅ I've Paid - Submit Proof", callback_data: 'submit_proof' }]);
+    }
+    if (walletAmount > 0) buttons.push([{ text: "↩️ Don't Use Wallet", callback_data: 'wallet_toggle' }]);
+    else if (balance > 0) buttons.push([{ text: `💰 Use Wallet (₹${balance.toFixed(2)})`, callback_data: 'wallet_toggle' }]);
+    buttons.push([checkout.couponCode
+      ? { text: "✖️ Remove Coupon", callback_data: 'coupon_remove' }
+      : { text: "🏷️ Apply Coupon", callback_data: 'coupon_prompt' }]);
+    buttons.push([{ text: "⬅️ Back", callback_data: `select_cat_${checkout.categoryId}` }, { text: "❌ Cancel", callback_data: 'cancel_checkout' }]);
+
+    const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } };
+    if (messageId) {
+      return bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+    }
+    return bot.sendMessage(chatId, text, options);
+  }
+
+  // --- Order Lifecycle ---
+  // Status: Awaiting Proof (buyer tapped "I've Paid") -> Pending (proof and UTR in) -> Successful | Declined,
+  // or Awaiting Proof -> Expired when no proof arrives within PROOF_TIMEOUT_MINUTES.
+  // Whatever changes an order's status also sets Announced to 'due'; announceOrderChanges() then posts
+  // it to the orders channel (and tells the buyer about expiry) and marks it 'done' before sending, so a
+  // restart never announces twice. Orders from before this column existed are left alone.
+  const ORDER_JOB_SECONDS = 60;
+
+  // The channel is public: only the first letter of the buyer's name, and never any codes.
+  function maskName(name) {
+    const first = Array.from(name || '').find(ch => /[\p{L}\p{N}]/u.test(ch));
+    return first ? `${first}•••` : 'Anonymous';
+  }
+
+  async function createAwaitingOrder(userId, name, checkout) {
+    const orderId = generateOrderId();
+    // Orders columns: OrderID, UserID, Name, CategoryID, Quantity, Amount, ProofFileID, UTR, Status, Date, VoucherCodeDelivered, DeclineReason, ProcessedAt, ProofUniqueID, FraudFlags, WalletAmount, CreditedAmount, ReferralReward, CouponCode, Discount, RemindedAt, Announced
+    const saved = await db.orders.add([orderId, userId.toString(), name, checkout.categoryId, checkout.qty.toString(), checkout.amount.toFixed(2), '', '', 'Awaiting Proof', new Date().toLocaleString(), '', '', '', '', '', (checkout.walletAmount || 0).toFixed(2), '', '', checkout.couponCode || '', (checkout.discount || 0).toFixed(2), '', '']);
+    return saved ? orderId : null;
+  }
+
+  async function expireStaleOrders() {
+    const cutoff = Date.now() - PROOF_TIMEOUT_MINUTES * 60 * 1000;
+    const stale = (await db.orders.list()).filter(o => o.Status === 'Awaiting Proof' && parseSheetDate(o.Date) !== null && parseSheetDate(o.Date) < cutoff);
+    for (const stub of stale) {
+      await withLock(`order:${stub.OrderID}`, async () => {
+        const order = await db.orders.get(stub.OrderID);
+        if (!order || order.Status !== 'Awaiting Proof') return;
+        if (!(await db.orders.update(order.OrderID, { Status: 'Expired', ProcessedAt: new Date().toLocaleString(), Announced: 'due' }))) return;
+        const checkout = sessions.get(order.UserID);
+        if (checkout && checkout.orderId === order.OrderID) await sessions.clear(order.UserID);
+      });
+    }
+  }
+
+  // Reminds each order's admins once, in a single message per run.
+  async function remindPendingOrders() {
+    const cutoff = Date.now() - PENDING_REMINDER_MINUTES * 60 * 1000;
+    const overdue = (await db.orders.list()).filter(o => o.Status === 'Pending' && !o.RemindedAt && parseSheetDate(o.Date) !== null && parseSheetDate(o.Date) < cutoff);
+    if (overdue.length === 0) return;
+
+    const lines = overdue.map(o => `• \`${o.OrderID}\` · \`${o.CategoryID}\` x${o.Quantity} · ₹${o.Amount} · waiting ${formatDuration(Date.now() - parseSheetDate(o.Date))}`);
+    const buttons = overdue.slice(0, 10).map(o => [
+      { text: `✅ Approve ${o.OrderID}`, callback_data: `adm_approve_${o.OrderID}` },
+      { text: `❌ Decline`, callback_data: `adm_decline_${o.OrderID}` }
+    ]);
+    const reached = await notifyAdmins('orders', `⏰ **${overdue.length} order${overdue.length === 1 ? '' : 's'} pending for over ${PENDING_REMINDER_MINUTES} minutes**\n\n${lines.join('\n')}`, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } });
+    // Stamped only once an admin has the reminder, so one that fails to send is tried again next run.
+    if (reached === 0) return;
+    for (const order of overdue) {
+      await db.orders.update(order.OrderID, { RemindedAt: new Date().toLocaleString() });
+    }
+  }
+
+  async function announceOrderChanges() {
+    const due = (await db.orders.list()).filter(o => o.Announced === 'due');
+    for (const order of due) {
+      if (!(await db.orders.update(order.OrderID, { Announced: 'done' }))) continue;
+      try {
+        if (order.Status === 'Expired') {
+          await bot.sendMessage(parseInt(order.UserID), `⌛ **Order Expired**\n\nOrder ID: \`${order.OrderID}\`\nNo payment proof arrived within ${PROOF_TIMEOUT_MINUTES} minutes, so the order was closed.\n\nIf you already paid, contact 🆘 Support with this Order ID. Otherwise start again from 🛍️ Buy Vouchers.`, { parse_mode: 'Markdown' });
+        } else if (order.Status === 'Successful' || order.Status === 'Declined') {
+          const approved = order.Status === 'Successful';
+          await bot.sendMessage(ORDERS_NOTIFY_CHANNEL_ID, `${approved ? '✅ **Order Approved**' : '❌ **Order Declined**'}\n\nOrder ID: \`${order.OrderID}\`\nBuyer: ${maskName(order.Name)}\nVoucher: \`${order.CategoryID}\` x${order.Quantity}\nAmount: ₹${order.Amount}\nStatus: ${approved ? '✅ Delivered' : '❌ Declined'}`, { parse_mode: 'Markdown' });
+        }
+      } catch (error) {
+        console.error(`Error announcing order ${order.OrderID}:`, error.message);
+      }
+    }
+  }
+
+  scheduler.every('expiring unpaid orders', ORDER_JOB_SECONDS, expireStaleOrders);
+  scheduler.every('reminding about pending orders', ORDER_JOB_SECONDS, remindPendingOrders);
+  scheduler.every('announcing order changes', ORDER_JOB_SECONDS, announceOrderChanges);
+
+
+  // --- Checkout: Fraud Checks ---
+  // Compares a submission with past orders: the same UTR or the same screenshot (Telegram's
+  // file_unique_id stays the same when a photo is re-sent) on another order, or a user whose
+  // recent orders keep getting declined. Returns the reasons; an empty list means nothing suspicious.
+  function findFraudReasons(orders, userId, utr, proofUniqueId) {
+    const reasons = [];
+    const userIdStr = userId.toString();
+
+    const sameUtr = orders.filter(o => o.UTR === utr);
+    if (sameUtr.length > 0) {
+      reasons.push(`UTR already used on ${sameUtr.map(o => `${o.OrderID} (${o.Status}${o.UserID !== userIdStr ? `, user ${o.UserID}` : ''})`).join(', ')}`);
+    }
+
+    const sameProof = proofUniqueId ? orders.filter(o => o.ProofUniqueID === proofUniqueId) : [];
+    if (sameProof.length > 0) {
+      reasons.push(`Screenshot already used on ${sameProof.map(o => `${o.OrderID} (${o.Status}${o.UserID !== userIdStr ? `, user ${o.UserID}` : ''})`).join(', ')}`);
+    }
+
+    const since = Date.now() - FRAUD_DECLINE_WINDOW_DAYS * DAY_MS;
+    const recentDeclines = orders.filter(o => o.UserID === userIdStr && o.Status === 'Declined' && parseSheetDate(o.Date) >= since).length;
+    if (recentDeclines >= FRAUD_DECLINE_LIMIT) {
+      reasons.push(`${recentDeclines} declined orders in the last ${FRAUD_DECLINE_WINDOW_DAYS} days`);
+    }
+
+    return reasons;
+  }
+
+  // Blocks a user once enough of their orders have been flagged. Returns true if they were blocked now.
+  async function autoBlockIfNeeded(userId, name, orders) {
+    const flagged = orders.filter(o => o.UserID === userId.toString() && o.FraudFlags).length;
+    if (flagged < FRAUD_BLOCK_THRESHOLD) return false;
+
+    const user = await db.users.get(userId);
+    if (!user || user.Status === 'Blocked') return false;
+    if (!(await db.users.update(userId.toString(), { Status: 'Blocked' }))) return false;
+
+    await logActivity(userId, 'Auto Blocked', `${flagged} flagged orders`);
+    await notifyAdmins('users', `🚫 **User Auto-Blocked**\n\nUser: ${escapeMarkdown(name)} (\`${userId}\`)\nReason: ${flagged} suspicious orders. Use 🚫 Block / Unblock User to undo.`, { parse_mode: 'Markdown' });
+    return true;
+  }
+
+  // --- Checkout: Save Order & Notify ---
+  // `utr` is empty when the whole order is paid from the wallet; such orders are delivered
+  // straight away and only go to the admin if that fails.
+  async function submitOrder(chatId, userId, utr, name) {
+    const checkout = sessions.get(userId);
+    const walletAmount = (checkout && checkout.walletAmount) || 0;
+    const paidByWallet = !!checkout && walletAmount >= checkout.amount;
+    if (!checkout || !checkout.categoryId || !(checkout.proofId || paidByWallet)) {
+      await sessions.clear(userId);
+      return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+    }
+
+    // A UPI order already has its Awaiting Proof row (taken when the buyer tapped "I've Paid").
+    const orderId = checkout.orderId || generateOrderId();
+    const amount = checkout.amount.toFixed(2);
+    if (checkout.orderId) {
+      const started = await db.orders.get(orderId);
+      if (!started || started.Status !== 'Awaiting Proof') {
+        await sessions.clear(userId);
+        return bot.sendMessage(chatId, `⌛ Order \`${orderId}\` has expired. If you already paid, contact 🆘 Support with this Order ID; otherwise start again from 🛍️ Buy Vouchers.`, { parse_mode: 'Markdown' });
+      }
+    }
+
+    // The coupon may have run out since it was applied. Nothing has been paid yet on a wallet
+    // order, so show the new total; a UPI payment has already gone through, so let the admin decide.
+    let couponNote = '';
+    if (checkout.couponCode) {
+      const check = await checkCoupon(checkout.couponCode, userId, checkout.categoryId, checkout.qty, checkout.subtotal);
+      if (check.error && paidByWallet) {
+        await sessions.set(userId, { ...checkout, state: 'waiting_for_payment', couponCode: '', discount: 0, amount: checkout.subtotal, walletAmount: 0 });
+        await bot.sendMessage(chatId, `${check.error} It has been removed from your order - please check the new total.`, { parse_mode: 'Markdown' });
+        return showPaymentSummary(chatId, userId);
+      }
+      couponNote = `\nCoupon: \`${checkout.couponCode}\` (-₹${checkout.discount.toFixed(2)})${check.error ? ' ⚠️ no longer valid' : ''}`;
+    }
+
+    // Take the wallet part first, so an order is never saved without its money.
+    if (walletAmount > 0) {
+      const spent = await changeBalance(userId, -walletAmount, `Payment for order ${orderId}`, orderId);
+      if (spent.error) {
+        await sessions.set(userId, { ...checkout, state: 'waiting_for_payment', walletAmount: 0 });
+        await bot.sendMessage(chatId, spent.error === 'insufficient'
+          ? "❌ Your wallet balance has changed. Please check the order summary and submit again."
+          : "❌ Could not use your wallet right now. Please try again in a moment.", { parse_mode: 'Markdown' });
+        return showPaymentSummary(chatId, userId);
+      }
+    }
+
+    const pastOrders = utr ? await db.orders.list() : [];
+    const fraudReasons = utr ? findFraudReasons(pastOrders, userId, utr, checkout.proofUniqueId) : [];
+    const fraudFlags = fraudReasons.join('; ');
+    const values = [orderId, userId.toString(), name, checkout.categoryId, checkout.qty.toString(), amount, checkout.proofId || '', utr, 'Pending', new Date().toLocaleString(), '', '', '', checkout.proofUniqueId || '', fraudFlags, walletAmount.toFixed(2), '', '', checkout.couponCode || '', (checkout.discount || 0).toFixed(2), '', ''];
+    const saved = checkout.orderId
+      ? await withLock(`order:${orderId}`, async () => {
+        // Re-checked under the lock: the expiry job may have closed it since.
+        const started = await db.orders.get(orderId);
+        if (!started || started.Status !== 'Awaiting Proof') return false;
+        return db.orders.update(orderId, Object.fromEntries(SCHEMA.Orders.map((column, i) => [column, values[i]])));
+      })
+      : await db.orders.add(values);
+    if (!saved) {
+      if (walletAmount > 0) await changeBalance(userId, walletAmount, `Refund: order ${orderId} could not be saved`, orderId);
+      if (paidByWallet) {
+        await sessions.set(userId, { ...checkout, state: 'waiting_for_payment' });
+        return bot.sendMessage(chatId, "❌ Could not save your order right now. Your wallet was not charged - please tap Pay again in a moment.", { parse_mode: 'Markdown' });
+      }
+      await sessions.set(userId, { ...checkout, state: 'waiting_for_utr' });
+      return bot.sendMessage(chatId, "❌ Could not save your order right now. Please send your UTR number again in a moment.", { parse_mode: 'Markdown' });
+    }
+    await sessions.clear(userId);
+
+    // Keep the codes held until the admin acts. If the buyer took too long, try to hold them again.
+    let holdNote = '';
+    let held = checkout.reservationId ? await attachReservationToOrder(checkout.reservationId, orderId) : false;
+    if (!held) {
+      const hold = await reserveStock(userId, checkout.categoryId, checkout.qty);
+      held = !hold.error && await attachReservationToOrder(hold.reservationId, orderId);
+      if (!held) holdNote = `\n\n⚠️ Reservation expired and only ${hold.available || 0} codes are free - check stock before approving.`;
+    }
+
+    const payment = walletAmount > 0 ? `₹${walletAmount.toFixed(2)} wallet${paidByWallet ? '' : ` + UPI \`${utr}\``}` : `UPI \`${utr}\``;
+    await logActivity(userId, 'Order Submitted', `${orderId} | ${checkout.categoryId} x${checkout.qty} | ₹${amount} | ${paidByWallet ? 'Wallet' : `UTR ${utr}`}`);
+    let fraudNote = '';
+    if (fraudReasons.length > 0) {
+      await logActivity(userId, 'Order Flagged', `${orderId} | ${fraudFlags}`);
+      fraudNote = `\n\n🚩 **Suspicious:**\n${fraudReasons.map(r => `• ${r}`).join('\n')}`;
+      const thisOrder = { UserID: userId.toString(), FraudFlags: fraudFlags };
+      if (await autoBlockIfNeeded(userId, name, [...pastOrders, thisOrder])) fraudNote += `\n\n🚫 User has been blocked automatically.`;
+    }
+
+    if (paidByWallet) {
+      const result = await approveOrder(orderId);
+      if (!result.error) {
+        await logActivity(userId, 'Order Approved', `${orderId} | ${result.codes.length} codes | paid from wallet`);
+        await bot.sendMessage(chatId, `✅ **Order Complete!**\n\nOrder ID: \`${orderId}\`\nPaid from wallet: ₹${amount}\n\n🎁 **Your Voucher Codes:**\n${result.codes.map(c => `\`${c}\``).join('\n')}\n\nThank you for shopping with us!`, {
+          parse_mode: 'Markdown',
+          reply_markup: mainMenuKeyboard
+        });
+        await notifyAdmins('orders', `💰 **Wallet Order Delivered** \`${orderId}\`\n\nUser: ${escapeMarkdown(name)} (\`${userId}\`)\nCategory: \`${checkout.categoryId}\`\nQuantity: ${checkout.qty}\nAmount: ₹${amount}`, { parse_mode: 'Markdown' });
+        return;
+      }
+      holdNote += `\n\n⚠️ Automatic delivery failed: ${result.error}`;
+    }
+
+    await bot.sendMessage(chatId, `✅ **Order Submitted!**\n\nOrder ID: \`${orderId}\`\nQuantity: ${checkout.qty}\nAmount: ₹${amount}\n\n${paidByWallet ? 'Paid from your wallet. Your codes will be sent here shortly.' : 'Admin is verifying your payment. Your codes will be sent here once approved.'}`, {
+      parse_mode: 'Markdown',
+      reply_markup: mainMenuKeyboard
+    });
+
+    try {
+      await bot.sendMessage(ORDERS_NOTIFY_CHANNEL_ID, `🆕 **New Order**\n\nOrder ID: \`${orderId}\`\nVoucher: \`${checkout.categoryId}\` x${checkout.qty}\nAmount: ₹${amount}\nStatus: ⏳ Pending`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      console.error("Error posting to orders channel:", error.message);
+    }
+
+    const details = `🧾 **New Order** \`${orderId}\`\n\nUser: ${escapeMarkdown(name)} (\`${userId}\`)\nCategory: \`${checkout.categoryId}\`\nQuantity: ${checkout.qty}\nAmount: ₹${amount}${couponNote}\nPaid: ${payment}${holdNote}${fraudNote}`;
+    const reply_markup = {
+      inline_keyboard: [[
+        { text: "✅ Approve", callback_data: `adm_approve_${orderId}` },
+        { text: "❌ Decline", callback_data: `adm_decline_${orderId}` }
+      ]]
+    };
+    if (checkout.proofId) {
+      await notifyAdminsPhoto('orders', checkout.proofId, { caption: details, parse_mode: 'Markdown', reply_markup: reply_markup });
+    } else {
+      await notifyAdmins('orders', details, { parse_mode: 'Markdown', reply_markup: reply_markup });
+    }
+  }
+
+  // --- Admin: Approve / Decline Orders ---
+  async function handleAdminOrderAction(chatId, userId, orderId, action) {
+    if (action === 'Decline') {
+      await sessions.set(userId, { state: 'adm_waiting_for_decline_reason', orderId: orderId });
+      return bot.sendMessage(chatId, `❌ **Decline Order** \`${orderId}\`\n\nType the reason for declining (it will be sent to the buyer):`, { parse_mode: 'Markdown' });
+    }
+
+    const result = await approveOrder(orderId, action === 'Partial');
+    if (result.error) {
+      // Short on stock: offer to deliver what there is and credit the rest, or decline.
+      const buttons = [];
+      if (result.available > 0) buttons.push({ text: `📦 Deliver ${result.available} & Credit Rest`, callback_data: `adm_partial_${orderId}` });
+      if (result.available !== undefined) buttons.push({ text: "❌ Decline", callback_data: `adm_decline_${orderId}` });
+      return bot.sendMessage(chatId, result.error, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons.length > 0 ? [buttons] : [] } });
+    }
+
+    const creditNote = result.credited ? ` ₹${result.credited.toFixed(2)} credited to the buyer's wallet for the rest.` : '';
+    await logActivity(userId, 'Order Approved', `${orderId} | ${result.codes.length} codes${result.credited ? ` | ₹${result.credited.toFixed(2)} credited` : ''}`);
+    await bot.sendMessage(chatId, `✅ Order \`${orderId}\` approved. ${result.codes.length} codes delivered.${creditNote}`, { parse_mode: 'Markdown' });
+    try {
+      const buyerCreditNote = result.credited ? `\n\nOnly ${result.codes.length} of ${result.order.Quantity} codes were available. ₹${result.credited.toFixed(2)} for the rest has been added to your 💰 Wallet.` : '';
+      await bot.sendMessage(parseInt(result.order.UserID), `✅ **Order Approved!**\n\nOrder ID: \`${orderId}\`\n\n🎁 **Your Voucher Codes:**\n${result.codes.map(c => `\`${c}\``).join('\n')}${buyerCreditNote}\n\nThank you for shopping with us!`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      bot.sendMessage(chatId, `⚠️ Codes saved on the order but the buyer could not be messaged: ${error.message}`);
+    }
+  }
+
+  // Locked per order so a double tap on Approve can't deliver twice. A partial approval
+  // delivers whatever codes are in stock and credits the undelivered share to the buyer's wallet.
+  async function approveOrder(orderId, partial = false) {
+    return withLock(`order:${orderId}`, async () => {
+      const order = await db.orders.get(orderId);
+      if (!order) return { error: `❌ Order \`${orderId}\` not found.` };
+      if (order.Status !== 'Pending') return { error: `⚠️ Order \`${orderId}\` is already **${order.Status}**.` };
+
+      const result = await deliverOrderCodes(order, partial);
+      if (result.error) return result;
+
+      const ordered = parseInt(order.Quantity);
+      if (result.codes.length < ordered) {
+        const credit = Math.round(parseFloat(order.Amount) * (ordered - result.codes.length) / ordered * 100) / 100;
+        const credited = await creditOrderToWallet(order, credit, `Undelivered codes on order ${orderId}`);
+        if (credited.error) {
+          notifyAdmins('orders', `⚠️ Order \`${orderId}\` was partly delivered but ₹${credit.toFixed(2)} could not be credited to user \`${order.UserID}\`. Credit it by hand.`, { parse_mode: 'Markdown' });
+        } else {
+          result.credited = credit;
+        }
+      }
+      if (order.CouponCode) await recordCouponUse(order.CouponCode);
+      await rewardReferrer(order);
+      return result;
+    });
+  }
+
+  // Moves `Quantity` codes from the category's stock onto the order (or as many as there
+  // are, for a partial delivery). Runs inside the per-category lock so two approvals can
+  // never take the same codes.
+  async function deliverOrderCodes(order, partial = false) {
+    return withLock(`category:${order.CategoryID}`, async () => {
+      const cat = await db.categories.get(order.CategoryID);
+      if (!cat) return { error: `❌ Category \`${order.CategoryID}\` for order \`${order.OrderID}\` no longer exists.` };
+
+      const stockCodes = (await listCategoryCodes(cat.CategoryID)).map(item => item.Code);
+      const ordered = parseInt(order.Quantity);
+      const qty = partial ? Math.min(ordered, stockCodes.length) : ordered;
+      if (qty === 0 || stockCodes.length < qty) {
+        return { error: `❌ Not enough codes in \`${order.CategoryID}\` (needed ${ordered}, have ${stockCodes.length}). Add stock and approve again.`, available: stockCodes.length };
+      }
+
+      // Tie the codes to the order first: if anything below fails they stay out of stock
+      // under this OrderID instead of being sold twice.
+      const codes = stockCodes.slice(0, qty);
+      const reserved = await db.inventory.updateMany(codes, { Status: 'reserved', OrderID: order.OrderID });
+      if (!reserved) return { error: `❌ Could not update stock for \`${order.CategoryID}\`. Order \`${order.OrderID}\` is still Pending.` };
+      checkLowStock(cat, stockCodes.length, stockCodes.length - qty);
+
+      const orderUpdated = await db.orders.update(order.OrderID, {
+        Status: 'Successful',
+        VoucherCodeDelivered: codes.join('\n'),
+        ProcessedAt: new Date().toLocaleString(),
+        Announced: 'due'
+      });
+      if (!orderUpdated) {
+        // Put the codes back so they aren't lost from stock.
+        await db.inventory.updateMany(codes, { Status: 'available', OrderID: '' });
+        return { error: `❌ Could not update order \`${order.OrderID}\`. Codes were returned to stock; it is still Pending.` };
+      }
+      if (!(await db.inventory.updateMany(codes, { Status: 'sold' }))) {
+        notifyAdmins('errors', `⚠️ Order \`${order.OrderID}\` was delivered but its codes are still marked reserved in Inventory.`, { parse_mode: 'Markdown' });
+      }
+      await closeOrderReservation(order.OrderID, 'Consumed');
+      return { order: order, codes: codes };
+    });
+  }
+
+  // --- Admin: Delete Category ---
+  // Refuses while buyers hold codes in it, so nobody pays for a category that vanishes.
+  async function deleteCategory(chatId, categoryId) {
+    const result = await withLock(`category:${categoryId}`, async () => {
+      const cat = await db.categories.get(categoryId);
+      if (!cat) return { error: `❌ Category \`${categoryId}\` not found.` };
+
+      const held = await getHeldQuantity(categoryId);
+      if (held > 0) return { error: `⚠️ ${held} codes of ₹${cat.Value} are reserved by buyers or pending orders. Approve/decline those first.` };
+
+      const removed = await db.categories.remove(categoryId);
+      if (!removed) return { error: `❌ Could not delete ₹${cat.Value}. The sheet was left unchanged.` };
+      // Its unsold codes stay in Inventory (so they still count as duplicates) but can't be sold.
+      const codes = (await listCategoryCodes(categoryId)).map(item => item.Code);
+      if (codes.length > 0) await db.inventory.updateMany(codes, { Status: 'void' });
+      return { cat: cat, voided: codes.length };
+    });
+
+    if (result.error) {
+      return bot.sendMessage(chatId, result.error, { parse_mode: 'Markdown' });
+    }
+    await logActivity(chatId, 'Category Deleted', `${categoryId} | ${result.voided} codes voided`);
+    await bot.sendMessage(chatId, `🗑️ **Category ₹${result.cat.Value} deleted.**${result.voided > 0 ? `\n${result.voided} unsold codes were voided.` : ''}`, { parse_mode: 'Markdown' });
+  }
+
+  async function declineOrder(chatId, adminId, orderId, reason) {
+    const result = await withLock(`order:${orderId}`, async () => {
+      const order = await db.orders.get(orderId);
+      if (!order) return { error: `❌ Order \`${orderId}\` not found.` };
+      if (order.Status !== 'Pending') return { error: `⚠️ Order \`${orderId}\` is already **${order.Status}**.` };
+
+      const updated = await db.orders.update(orderId, { Status: 'Declined', DeclineReason: reason, ProcessedAt: new Date().toLocaleString(), Announced: 'due' });
+      if (!updated) return { error: `❌ Could not update order \`${orderId}\`. It is still Pending.` };
+      await closeOrderReservation(orderId, 'Released');
+
+      // Whatever was paid from the wallet goes straight back; the UPI part is up to the admin.
+      const walletPaid = parseFloat(order.WalletAmount) || 0;
+      const refund = walletPaid > 0 ? await creditOrderToWallet(order, walletPaid, `Refund: order ${orderId} declined`) : null;
+      return { order: order, walletRefunded: refund && !refund.error ? walletPaid : 0, walletRefundFailed: !!(refund && refund.error) };
+    });
+
+    if (result.error) {
+      return bot.sendMessage(chatId, result.error, { parse_mode: 'Markdown' });
+    }
+
+    const order = result.order;
+    const upiPaid = (parseFloat(order.Amount) || 0) - (parseFloat(order.WalletAmount) || 0);
+    await logActivity(adminId, 'Order Declined', `${orderId} | ${reason}`);
+    let adminText = `✅ Order \`${orderId}\` declined.`;
+    if (result.walletRefunded) adminText += ` ₹${result.walletRefunded.toFixed(2)} paid from the wallet was returned.`;
+    if (result.walletRefundFailed) adminText += `\n⚠️ The ₹${order.WalletAmount} paid from the wallet could not be returned - use Credit to Wallet.`;
+    const creditable = upiPaid + (result.walletRefundFailed ? parseFloat(order.WalletAmount) : 0);
+    await bot.sendMessage(chatId, adminText, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: creditable > 0 ? [[{ text: `💰 Credit ₹${creditable.toFixed(2)} to Buyer's Wallet`, callback_data: `adm_credit_${orderId}` }]] : [] }
+    });
+    try {
+      const refundNote = result.walletRefunded ? `\n\n₹${result.walletRefunded.toFixed(2)} paid from your wallet has been returned to it.` : '';
+      await bot.sendMessage(parseInt(order.UserID), `❌ **Order Declined**\n\nOrder ID: \`${orderId}\`\nReason: ${escapeMarkdown(reason)}${refundNote}\n\nIf you think this is a mistake, please contact 🆘 Support.`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      bot.sendMessage(chatId, `⚠️ Buyer could not be messaged: ${error.message}`);
+    }
+  }
+
+  // Credits part of an order's payment to the buyer's wallet and adds it to the order's
+  // CreditedAmount, which caps the total that can ever be credited at the order Amount.
+  // Call with the order lock held.
+  async function creditOrderToWallet(order, amount, reason) {
+    const alreadyCredited = parseFloat(order.CreditedAmount) || 0;
+    if (amount <= 0 || alreadyCredited + amount > parseFloat(order.Amount) + 0.001) return { error: 'over_credit' };
+
+    const credited = await changeBalance(order.UserID, amount, reason, order.OrderID);
+    if (credited.error) return credited;
+    order.CreditedAmount = (alreadyCredited + amount).toFixed(2);
+    await db.orders.update(order.OrderID, { CreditedAmount: order.CreditedAmount });
+    return credited;
+  }
+
+  // Admin "Credit to Wallet" on a declined order: refunds whatever hasn't been credited yet.
+  async function creditDeclinedOrder(chatId, adminId, orderId) {
+    const result = await withLock(`order:${orderId}`, async () => {
+      const order = await db.orders.get(orderId);
+      if (!order) return { error: `❌ Order \`${orderId}\` not found.` };
+      if (order.Status !== 'Declined') return { error: `⚠️ Only declined orders can be credited; \`${orderId}\` is **${order.Status}**.` };
+
+      const amount = Math.round(((parseFloat(order.Amount) || 0) - (parseFloat(order.CreditedAmount) || 0)) * 100) / 100;
+      if (amount <= 0) return { error: `⚠️ Order \`${orderId}\` has already been credited in full.` };
+      const credited = await creditOrderToWallet(order, amount, `Refund: order ${orderId} declined`);
+      if (credited.error) return { error: `❌ Could not credit order \`${orderId}\` right now. Nothing was changed.` };
+      return { order: order, amount: amount, balance: credited.balance };
+    });
+
+    if (result.error) {
+      return bot.sendMessage(chatId, result.error, { parse_mode: 'Markdown' });
+    }
+    await logActivity(adminId, 'Order Credited', `${orderId} | ₹${result.amount.toFixed(2)} to ${result.order.UserID}`);
+    await bot.sendMessage(chatId, `✅ ₹${result.amount.toFixed(2)} credited to user \`${result.order.UserID}\` for order \`${orderId}\`.`, { parse_mode: 'Markdown' });
+    try {
+      await bot.sendMessage(parseInt(result.order.UserID), `💰 **Wallet Credited**\n\n₹${result.amount.toFixed(2)} for order \`${orderId}\` has been added to your wallet.\nNew balance: ₹${result.balance.toFixed(2)}\n\nIt will be used at checkout when you tap 💰 Use Wallet.`, { parse_mode: 'Markdown' });
+    } catch (error) {
+      bot.sendMessage(chatId, `⚠️ Buyer could not be messaged: ${error.message}`);
+    }
+  }
+
+
+  // --- Admin: Stock Import ---
+  // Codes arrive pasted into a message or as an uploaded .txt/.csv file. Nothing is written
+  // until the admin confirms the preview; the checked codes wait in memory until then, since
+  // a big batch wouldn't fit in a Sessions cell (a restart just means uploading again).
+  // Categories.CodePattern, if set, is a regular expression every code must match in full.
+  const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+  const pendingImports = {}; // adminId -> { categoryId, codes }
+
+  // .txt: one code per line or comma-separated. .csv: the first column, minus a "code" header.
+  function parseImportCodes(text, isCsv) {
+    const lines = text.split(/\r?\n/);
+    const cells = isCsv ? lines.map(line => line.split(',')[0]) : lines.flatMap(line => line.split(','));
+    const codes = cells.map(c => c.trim().replace(/^"(.*)"$/, '$1').trim()).filter(c => c.length > 0);
+    if (isCsv && codes.length > 0 && /^(voucher\s*)?codes?$/i.test(codes[0])) codes.shift();
+    return codes;
+  }
+
+  async function downloadImportFile(document) {
+    const link = await bot.getFileLink(document.file_id);
+    const response = await fetch(link);
+    if (!response.ok) throw new Error(`download failed (HTTP ${response.status})`);
+    return response.text();
+  }
+
+  // Splits codes into the ones safe to add and the rejected ones, by reason. A code is
+  // rejected if it repeats within the batch, is already in Inventory (in stock, sold or
+  // voided), or was delivered on an order from before Inventory existed.
+  async function checkImportCodes(cat, codes) {
+    const inventory = await db.inventory.list();
+    const inStock = new Set(inventory.filter(item => ['available', 'reserved'].includes(item.Status)).map(item => item.Code));
+    const voided = new Set(inventory.filter(item => item.Status === 'void').map(item => item.Code));
+    const delivered = new Set(inventory.filter(item => item.Status === 'sold').map(item => item.Code));
+    (await db.orders.list()).forEach(o => (o.VoucherCodeDelivered || '').split('\n').map(c => c.trim()).filter(c => c.length > 0).forEach(c => delivered.add(c)));
+
+    let pattern = null;
+    let patternError = false;
+    if (cat.CodePattern) {
+      try {
+        pattern = new RegExp(`^(?:${cat.CodePattern})$`);
+      } catch (error) {
+        patternError = true;
+      }
+    }
+
+    const seen = new Set();
+    const result = { accepted: [], repeated: [], inStock: [], delivered: [], voided: [], badFormat: [], patternError: patternError };
+    for (const code of codes) {
+      if (seen.has(code)) result.repeated.push(code);
+      else if (inStock.has(code)) result.inStock.push(code);
+      else if (delivered.has(code)) result.delivered.push(code);
+      else if (voided.has(code)) result.voided.push(code);
+      else if (pattern && !pattern.test(code)) result.badFormat.push(code);
+      else result.accepted.push(code);
+      seen.add(code);
+    }
+    return result;
+  }
+
+  async function showImportPreview(chatId, adminId, cat, codes) {
+    const check = await checkImportCodes(cat, codes);
+    pendingImports[adminId] = { categoryId: cat.CategoryID, codes: check.accepted };
+    await sessions.set(adminId, { state: 'adm_confirming_stock_import', categoryId: cat.CategoryID });
+
+    const sample = list => list.slice(0, 5).map(c => `\`${c}\``).join(', ') + (list.length > 5 ? ', …' : '');
+    const rejected = [
+      [check.repeated, '🔁 Repeated in this batch'],
+      [check.inStock, '📦 Already in stock'],
+      [check.delivered, '🎁 Already delivered'],
+      [check.voided, '🗑️ Removed earlier'],
+      [check.badFormat, '🚫 Wrong format']
+    ].filter(([list]) => list.length > 0).map(([list, label]) => `${label}: ${list.length}\n${sample(list)}`);
+
+    let text = `📥 **Import Preview for ₹${cat.Value}**\n\nCodes received: ${codes.length}\n✅ New: ${check.accepted.length}`;
+    if (rejected.length > 0) text += `\n\n**Skipped**\n${rejected.join('\n')}`;
+    if (check.patternError) text += `\n\n⚠️ The CodePattern for this category is not a valid regular expression, so formats were not checked.`;
+
+    const inlineKeyboard = [];
+    if (check.accepted.length > 0) inlineKeyboard.push([{ text: `✅ Add ${check.accepted.length} Codes`, callback_data: 'adm_add_stock_confirm' }]);
+    inlineKeyboard.push([{ text: "❌ Cancel", callback_data: 'adm_add_stock_cancel' }]);
+    await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+  }
+
+  async function confirmStockImport(chatId, adminId) {
+    const session = sessions.get(adminId);
+    const pending = session && session.state === 'adm_confirming_stock_import' ? pendingImports[adminId] : null;
+    delete pendingImports[adminId];
+    await sessions.clear(adminId);
+    if (!pending) {
+      await bot.sendMessage(chatId, "⌛ This import has expired. Please send the codes again.", { parse_mode: 'Markdown' });
+      return showAdminPanel(chatId);
+    }
+
+    const result = await withLock(`category:${pending.categoryId}`, async () => {
+      const cat = await db.categories.get(pending.categoryId);
+      if (!cat) return { error: `❌ Category \`${pending.categoryId}\` no longer exists.` };
+
+      // Check again: stock may have changed since the preview.
+      const check = await checkImportCodes(cat, pending.codes);
+      if (check.accepted.length > 0 && !(await db.inventory.addMany(check.accepted.map(code => inventoryRow(cat.CategoryID, code))))) {
+        return { error: `❌ Could not save the codes for ₹${cat.Value}. Nothing was added.` };
+      }
+      return { cat: cat, added: check.accepted.length, skipped: pending.codes.length - check.accepted.length, stock: await getStock(cat.CategoryID) };
+    });
+
+    if (result.error) {
+      await bot.sendMessage(chatId, result.error, { parse_mode: 'Markdown' });
+      return showAdminPanel(chatId);
+    }
+    await logActivity(adminId, 'Stock Imported', `${result.cat.CategoryID} | ${result.added} codes`);
+    const skippedNote = result.skipped > 0 ? `\n${result.skipped} codes were skipped because they appeared in stock meanwhile.` : '';
+    await bot.sendMessage(chatId, `✅ Added ${result.added} codes to ₹${result.cat.Value}. New stock: ${result.stock}.${skippedNote}`, { parse_mode: 'Markdown' });
+    return showAdminPanel(chatId);
+  }
+
+
+  // --- Admin: Stock View & Removal ---
+  const STOCK_PAGE_SIZE = 25;
+
+  // Available codes, oldest first (the order they are sold in), one page per message.
+  async function showStockCodes(chatId, categoryId, page = 0, messageId = null) {
+    const cat = await db.categories.get(categoryId);
+    const items = (await db.inventory.list()).filter(item => item.CategoryID === categoryId);
+    const count = status => items.filter(item => item.Status === status).length;
+    const available = items.filter(item => item.Status === 'available');
+
+    const totalPages = Math.max(Math.ceil(available.length / STOCK_PAGE_SIZE), 1);
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageCodes = available.slice(page * STOCK_PAGE_SIZE, (page + 1) * STOCK_PAGE_SIZE).map(item => item.Code);
+
+    let text = `👁️ **Stock for ${cat ? '₹' + cat.Value : categoryId}** (page ${page + 1}/${totalPages})\n\n` +
+      `Available: ${available.length} · Reserved: ${count('reserved')} · Sold: ${count('sold')} · Void: ${count('void')}`;
+    text += pageCodes.length > 0 ? `\n\n\`\`\`\n${pageCodes.join('\n')}\n\`\`\`` : "\n\nNo codes in stock.";
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "⬅️ Prev", callback_data: `adm_view_stock_page_${page - 1}_${categoryId}` });
+    if (page < totalPages - 1) nav.push({ text: "Next ➡️", callback_data: `adm_view_stock_page_${page + 1}_${categoryId}` });
+    const inlineKeyboard = nav.length > 0 ? [nav, adminBackButton] : [adminBackButton];
+    const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } };
+
+    if (messageId) {
+      return bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+    }
+    return bot.sendMessage(chatId, text, options);
+  }
+
+  // Voids available codes. Codes already reserved or sold belong to an order and are left alone,
+  // and a category keeps at least as many codes as its buyers are holding.
+  // Returns one result line per code.
+  async function removeStockCodes(adminId, codes) {
+    const inventory = await db.inventory.list();
+    const lines = [];
+    const byCategory = {};
+    codes.forEach(code => {
+      const item = inventory.find(i => i.Code === code);
+      if (!item) lines.push(`❌ \`${code}\` not found in stock.`);
+      else if (item.Status !== 'available') lines.push(`⚠️ \`${code}\` is ${item.Status}${item.OrderID ? ` (order \`${item.OrderID}\`)` : ''}, not removed.`);
+      else (byCategory[item.CategoryID] = byCategory[item.CategoryID] || []).push(code);
+    });
+
+    for (const [categoryId, categoryCodes] of Object.entries(byCategory)) {
+      await withLock(`category:${categoryId}`, async () => {
+        const before = await getStock(categoryId);
+        // Held codes are only picked at approval, so the stock has to keep enough to cover them.
+        const held = await getHeldQuantity(categoryId);
+        if (before - categoryCodes.length < held) {
+          lines.push(`⚠️ Could not remove ${categoryCodes.length} codes from \`${categoryId}\`: ${held} of its ${before} codes are reserved by buyers or pending orders, so at most ${Math.max(before - held, 0)} can go. Nothing was changed.`);
+          return;
+        }
+        if (!(await db.inventory.updateMany(categoryCodes, { Status: 'void' }))) {
+          lines.push(`❌ Could not remove ${categoryCodes.length} codes from \`${categoryId}\`. Nothing was changed.`);
+          return;
+        }
+        const cat = await db.categories.get(categoryId);
+        if (cat) checkLowStock(cat, before, before - categoryCodes.length);
+        await logActivity(adminId, 'Stock Removed', `${categoryId} | ${categoryCodes.join(', ')}`);
+        categoryCodes.forEach(code => lines.push(`✅ \`${code}\` removed from \`${categoryId}\`.`));
+      });
+    }
+    return lines;
+  }
+
+
+  // --- Support Tickets ---
+  // A user's support messages go into their open ticket (one is opened by the first message).
+  // Every message reaches the support admins with the ticket ID in it and Reply/Close buttons;
+  // an admin can also just reply to it in Telegram. Users answer the same way, so each side can
+  // keep talking by replying to the last message. Status: Open -> Closed (by either side).
+  const TICKET_PREVIEW_LENGTH = 100; // Characters of the last message kept in Tickets.LastMessage
+  const OPEN_TICKETS_SHOWN = 20;
+
+  function generateTicketId() {
+    return 'TK' + randomstring.generate({ length: 6, charset: 'alphanumeric', capitalization: 'uppercase' });
+  }
+
+  // The ticket a bot message belongs to, when it is one of ours and mentions one.
+  function ticketIdFromMessage(message) {
+    if (!message || !message.from || !message.from.is_bot) return null;
+    const match = (message.text || message.caption || '').match(/\bTK[A-Z0-9]{6}\b/);
+    return match ? match[0] : null;
+  }
+
+  async function getOpenTicket(userId) {
+    return (await db.tickets.listOpen()).find(t => t.UserID === userId.toString());
+  }
+
+  function ticketPreview(msg) {
+    const text = msg.text || msg.caption || '';
+    const preview = msg.photo ? `[photo] ${text}`.trim() : text;
+    return preview.length > TICKET_PREVIEW_LENGTH ? preview.slice(0, TICKET_PREVIEW_LENGTH - 1) + '…' : preview;
+  }
+
+  function ticketHeader(ticket) {
+    return `🎫 **Ticket ${ticket.TicketID}** · ${escapeMarkdown(ticket.Name)} (\`${ticket.UserID}\`)${ticket.OrderID ? `\nOrder: \`${ticket.OrderID}\`` : ''}`;
+  }
+
+  const ticketAdminButtons = ticketId => ({ inline_keyboard: [[{ text: "💬 Reply", callback_data: `adm_tk_reply_${ticketId}` }, { text: "✅ Close", callback_data: `adm_tk_close_${ticketId}` }]] });
+  const ticketUserButtons = ticketId => ({ inline_keyboard: [
+    [{ text: "💬 Reply", callback_data: `sup_reply_${ticketId}` }, { text: "📎 Attach Order", callback_data: `sup_attach_${ticketId}` }],
+    [{ text: "✅ Close Ticket", callback_data: `sup_close_${ticketId}` }]
+  ] });
+
+  // Files a user's message under their open ticket, opening one if needed.
+  async function submitTicketMessage(chatId, userId, msg) {
+    if (!msg.text && !(msg.photo && msg.photo.length > 0)) {
+      return bot.sendMessage(chatId, "❌ Please send text or a screenshot.", { parse_mode: 'Markdown' });
+    }
+    const { ticket, created } = await withLock(`ticket:${userId}`, async () => {
+      const now = new Date().toLocaleString();
+      const open = await getOpenTicket(userId);
+      if (open) {
+        await db.tickets.update(open.TicketID, { UpdatedAt: now, LastMessage: ticketPreview(msg) });
+        return { ticket: open, created: false };
+      }
+      const ticketId = generateTicketId();
+      const values = [ticketId, userId.toString(), msg.from.first_name, '', 'Open', now, now, ticketPreview(msg), ''];
+      if (!(await db.tickets.add(values))) return { ticket: null };
+      return { ticket: await db.tickets.get(ticketId), created: true };
+    });
+    if (!ticket) {
+      return bot.sendMessage(chatId, "❌ Your message could not be saved. Please try again in a moment.", { parse_mode: 'Markdown' });
+    }
+
+    const title = `${ticketHeader(ticket)}${created ? ' · 🆕 new' : ''}`;
+    if (msg.photo && msg.photo.length > 0) {
+      await notifyAdminsPhoto('support', msg.photo[msg.photo.length - 1].file_id, { caption: `${title}\n\n${escapeMarkdown(msg.caption)}`, parse_mode: 'Markdown', reply_markup: ticketAdminButtons(ticket.TicketID) });
+    } else {
+      await notifyAdmins('support', `${title}\n\n${escapeMarkdown(msg.text)}`, { parse_mode: 'Markdown', reply_markup: ticketAdminButtons(ticket.TicketID) });
+    }
+    const text = created
+      ? `✅ Ticket \`${ticket.TicketID}\` opened and your message forwarded to Admin.\n\nKeep typing to add to it, or attach the order it is about.`
+      : `✅ Added to ticket \`${ticket.TicketID}\`.`;
+    await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: created ? ticketUserButtons(ticket.TicketID) : undefined });
+  }
+
+  // An admin's answer (text or photo) goes to the ticket's user.
+  async function sendTicketReply(chatId, adminId, ticket, msg) {
+    const title = `💬 **Support Reply** · Ticket ${ticket.TicketID}`;
+    const options = { parse_mode: 'Markdown', reply_markup: ticket.Status === 'Open' ? ticketUserButtons(ticket.TicketID) : undefined };
+    try {
+      if (msg.photo && msg.photo.length > 0) {
+        await bot.sendPhoto(parseInt(ticket.UserID), msg.photo[msg.photo.length - 1].file_id, { ...options, caption: `${title}\n\n${escapeMarkdown(msg.caption)}` });
+      } else if (msg.text) {
+        await bot.sendMessage(parseInt(ticket.UserID), `${title}\n\n${escapeMarkdown(msg.text)}`, options);
+      } else {
+        return bot.sendMessage(chatId, "❌ Only text and photos can be sent as a reply.", { parse_mode: 'Markdown' });
+      }
+    } catch (error) {
+      return bot.sendMessage(chatId, `❌ Failed to deliver the reply to ticket \`${ticket.TicketID}\`. Error: ${error.message}`, { parse_mode: 'Markdown' });
+    }
+    await db.tickets.update(ticket.TicketID, { UpdatedAt: new Date().toLocaleString(), LastMessage: `Admin: ${ticketPreview(msg)}` });
+    await logActivity(adminId, 'Ticket Reply', ticket.TicketID);
+    await bot.sendMessage(chatId, `✅ Reply sent to ticket \`${ticket.TicketID}\`.`, { parse_mode: 'Markdown' });
+  }
+
+  // A reply (in Telegram's sense) to one of the ticket's messages. Returns false when it isn't
+  // the sender's ticket to answer, so the message is handled as usual.
+  async function handleTicketThreadReply(msg, ticketId) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const ticket = await db.tickets.get(ticketId);
+    if (!ticket) return false;
+    if (ticket.UserID === userId.toString()) {
+      if (ticket.Status !== 'Open') {
+        await bot.sendMessage(chatId, `ℹ️ Ticket \`${ticketId}\` is closed. Press 🆘 Support to open a new one.`, { parse_mode: 'Markdown' });
+        return true;
+      }
+      await submitTicketMessage(chatId, userId, msg);
+      return true;
+    }
+    if (!(await hasPermission(userId, 'support'))) return false;
+    await sendTicketReply(chatId, userId, ticket, msg);
+    return true;
+  }
+
+  // closedBy: 'admin' or 'user'; the other side is told.
+  async function closeTicket(ticketId, closedBy, actorId) {
+    const ticket = await db.tickets.get(ticketId);
+    if (!ticket || ticket.Status !== 'Open') return null;
+    await db.tickets.update(ticketId, { Status: 'Closed', ClosedAt: new Date().toLocaleString() });
+    await logActivity(actorId, 'Ticket Closed', `${ticketId} by ${closedBy}`);
+    if (closedBy === 'admin') {
+      bot.sendMessage(parseInt(ticket.UserID), `✅ Your support ticket \`${ticketId}\` has been closed. Press 🆘 Support if you need anything else.`, { parse_mode: 'Markdown' })
+        .catch(error => console.error(`Failed to tell ${ticket.UserID} about closed ticket:`, error.message));
+    } else {
+      await notifyAdmins('support', `✅ ${ticketHeader(ticket)}\n\nClosed by the user.`, { parse_mode: 'Markdown' });
+    }
+    return ticket;
+  }
+
+  // The support menu button: says which ticket new messages will go to.
+  async function openSupport(chatId, userId) {
+    await sessions.set(userId, { state: 'in_support_mode' });
+    const ticket = await getOpenTicket(userId);
+    if (ticket) {
+      await bot.sendMessage(chatId, `🆘 **Support**\n\nYour ticket \`${ticket.TicketID}\` is open${ticket.OrderID ? ` (order \`${ticket.OrderID}\`)` : ''}. Type your message (or send a screenshot) to add to it. Send /cancel when you're done.`, { parse_mode: 'Markdown', reply_markup: cancelKeyboard });
+      return bot.sendMessage(chatId, "Ticket options:", { reply_markup: ticketUserButtons(ticket.TicketID) });
+    }
+    return bot.sendMessage(chatId, "🆘 **Support**\n\nType your message (or send a screenshot) and it will be forwarded to Admin as a new ticket. Send /cancel when you're done.", { parse_mode: 'Markdown', reply_markup: cancelKeyboard });
+  }
+
+
+  // --- User Activity ---
+  // Users.LastActiveAt feeds the "active in the last N days" broadcast segment. It is written at
+  // most every ACTIVITY_WRITE_MINUTES per user so ordinary chatting doesn't become sheet writes.
+  // A user marked Inactive (they had blocked the bot) is Active again as soon as they come back.
+  const ACTIVITY_WRITE_MINUTES = 30;
+  const lastActivityWrite = {}; // userId -> timestamp
+
+  async function touchUser(userId) {
+    const now = Date.now();
+    if (lastActivityWrite[userId] && now - lastActivityWrite[userId] < ACTIVITY_WRITE_MINUTES * 60 * 1000) return;
+    lastActivityWrite[userId] = now;
+    const user = await db.users.get(userId);
+    if (!user) return;
+    await db.users.update(userId.toString(), { LastActiveAt: new Date(now).toISOString(), ...(user.Status === 'Inactive' ? { Status: 'Active' } : {}) });
+  }
+
+
+  // --- Admin: Broadcasts ---
+  // The admin picks a segment, then sends the message (text, or a photo with a caption). It goes
+  // out through the background broadcaster; blocked and Inactive users are skipped.
+  const broadcaster = createBroadcaster({ bot, perSecond: BROADCAST_PER_SECOND });
+  const BROADCAST_PROGRESS_EVERY = 100; // Messages between progress updates to the admin
+  const BROADCAST_SEGMENTS = {
+    all: "👥 All users",
+    buyers: "🛍️ Buyers",
+    nonbuyers: "🙋 Non-buyers",
+    active: "⏱️ Active recently"
+  };
+
+  function segmentLabel(segment, days) {
+    return segment === 'active' ? `Active in the last ${days} days` : BROADCAST_SEGMENTS[segment].replace(/^\S+ /, '');
+  }
+
+  async function broadcastRecipients(segment, days) {
+    const users = (await db.users.list()).filter(u => u.UserID && !['Blocked', 'Inactive'].includes(u.Status));
+    if (segment === 'active') {
+      const since = Date.now() - days * DAY_MS;
+      return users.filter(u => Date.parse(u.LastActiveAt) >= since);
+    }
+    if (segment === 'all') return users;
+    const buyers = new Set((await db.orders.list()).filter(o => o.Status === 'Successful').map(o => o.UserID));
+    return users.filter(u => (segment === 'buyers') === buyers.has(u.UserID));
+  }
+
+  async function promptBroadcastMessage(chatId, adminId, segment, days) {
+    const recipients = await broadcastRecipients(segment, days);
+    await sessions.set(adminId, { state: 'adm_waiting_for_broadcast_message', segment: segment, days: days });
+    await bot.sendMessage(chatId, `📢 **Broadcast: ${segmentLabel(segment, days)}** (${recipients.length} users)\n\nSend the message now: text, or a photo with a caption. Markdown is supported.`, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [adminBackButton] } });
+  }
+
+  function broadcastStatusText(job, title) {
+    return `${title}\n\nSent: ${job.sent}\nFailed: ${job.failed}\nBlocked the bot: ${job.blocked}\nProgress: ${job.sent + job.failed + job.blocked}/${job.total}`;
+  }
+
+  async function startBroadcast(chatId, adminId, segment, days, message) {
+    if (broadcaster.running().length > 0) {
+      return bot.sendMessage(chatId, "⚠️ A broadcast is already running. Cancel it or wait for its report first.", { parse_mode: 'Markdown' });
+    }
+
+    // The admin gets the message first, so a Markdown mistake shows up before anyone else sees it.
+    try {
+      await broadcaster.send(chatId, message);
+    } catch (error) {
+      return bot.sendMessage(chatId, `❌ That message can't be sent: ${error.message}\n\nFix it and send it again.`);
+    }
+
+    const recipients = (await broadcastRecipients(segment, days)).map(u => parseInt(u.UserID)).filter(id => id !== chatId);
+    await sessions.clear(adminId);
+    const label = segmentLabel(segment, days);
+    const status = await bot.sendMessage(chatId, `📢 **Broadcast started** (${label})\n\nSending to ${recipients.length} users...`, { parse_mode: 'Markdown' });
+    const cancelButton = job => ({ inline_keyboard: [[{ text: "⏹️ Cancel Broadcast", callback_data: `adm_bc_cancel_${job.id}` }]] });
+
+    const job = broadcaster.start({
+      recipients: recipients,
+      message: message,
+      onBlocked: async (userId) => {
+        const user = await db.users.get(userId);
+        if (user && user.Status === 'Active') await db.users.update(userId.toString(), { Status: 'Inactive' });
+      },
+      onProgress: async (job) => {
+        const done = job.sent + job.failed + job.blocked;
+        if (done % BROADCAST_PROGRESS_EVERY !== 0 || done === job.total) return;
+        bot.editMessageText(broadcastStatusText(job, `📢 **Broadcast running** (${label})`), { chat_id: chatId, message_id: status.message_id, parse_mode: 'Markdown', reply_markup: cancelButton(job) })
+          .catch(error => console.error("Error updating broadcast progress:", error.message));
+      },
+      onDone: async (job) => {
+        await logActivity(adminId, 'Broadcast', `${label} | sent ${job.sent}, failed ${job.failed}, blocked ${job.blocked}${job.cancelled ? ' | cancelled' : ''}`);
+        await bot.sendMessage(chatId, broadcastStatusText(job, job.cancelled ? `⏹️ **Broadcast cancelled** (${label})` : `✅ **Broadcast finished** (${label})`), { parse_mode: 'Markdown' });
+      }
+    });
+    await bot.editMessageReplyMarkup(cancelButton(job), { chat_id: chatId, message_id: status.message_id });
+  }
+
+
+  // --- Admin Panel ---
+  const adminPanelKeyboard = {
+    inline_keyboard: [
+      [{ text: "➕ Add Category", callback_data: 'adm_add_cat_prompt' }, { text: "🗑️ Delete Category", callback_data: 'adm_del_cat_list' }],
+      [{ text: "📦 Add Stock", callback_data: 'adm_add_stock_prompt' }, { text: "👁️ View Stock", callback_data: 'adm_view_stock_list' }],
+      [{ text: "✂️ Remove Code", callback_data: 'adm_remove_stock_prompt' }, { text: "💰 Tier Pricing", callback_data: 'adm_pricing_menu' }],
+      [{ text: "🏷️ Coupons", callback_data: 'adm_coupons' }],
+      [{ text: "📢 Broadcast", callback_data: 'adm_bc_prompt' }, { text: "💬 DM User", callback_data: 'adm_dm_prompt' }],
+      [{ text: "🚫 Block / Unblock User", callback_data: 'adm_block_prompt' }, { text: "🎫 Open Tickets", callback_data: 'adm_tickets' }],
+      [{ text: "📊 Stats", callback_data: 'adm_stats' }]
+    ]
+  };
+
+  const adminBackButton = [{ text: "⬅️ Back to Panel", callback_data: 'adm_panel' }];
+
+  // Every admin flow ends by coming back here. Admins only see the buttons their role allows.
+  async function showAdminPanel(chatId) {
+    const roles = await getAdminRoles(chatId);
+    const canUse = button => (PERMISSION_ROLES[permissionForCallback(button.callback_data)] || ['owner']).some(role => roles.includes(role));
+    const inlineKeyboard = adminPanelKeyboard.inline_keyboard.map(row => row.filter(canUse)).filter(row => row.length > 0);
+
+    const categories = await db.categories.list();
+    const orders = await db.orders.list();
+    const pending = orders.filter(o => o.Status === 'Pending').length;
+    const stockCounts = await getStockCounts();
+    const stock = categories.reduce((sum, c) => sum + (stockCounts[c.CategoryID] || 0), 0);
+    await bot.sendMessage(chatId, `🛠️ **Admin Panel**\n\nCategories: ${categories.length}\nCodes in stock: ${stock}\nPending orders: ${pending}\n\nChoose an action:`, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: inlineKeyboard }
+    });
+  }
+
+
+  // --- Admin: Support Tickets ---
+  async function showOpenTickets(chatId) {
+    const tickets = (await db.tickets.listOpen())
+      .sort((a, b) => (parseSheetDate(a.UpdatedAt) || 0) - (parseSheetDate(b.UpdatedAt) || 0)); // Longest waiting first
+    const shown = tickets.slice(0, OPEN_TICKETS_SHOWN);
+    const lines = shown.map(t => {
+      const updated = parseSheetDate(t.UpdatedAt);
+      return `🎫 \`${t.TicketID}\` · ${escapeMarkdown(t.Name)} (\`${t.UserID}\`)${t.OrderID ? ` · \`${t.OrderID}\`` : ''}${updated ? ` · ${formatDuration(Date.now() - updated)} ago` : ''}\n      ${escapeMarkdown(t.LastMessage)}`;
+    });
+    const more = tickets.length > shown.length ? `\n\n…and ${tickets.length - shown.length} more.` : '';
+
+    const inlineKeyboard = shown.map(t => [
+      { text: `💬 Reply ${t.TicketID}`, callback_data: `adm_tk_reply_${t.TicketID}` },
+      { text: `✅ Close ${t.TicketID}`, callback_data: `adm_tk_close_${t.TicketID}` }
+    ]);
+    inlineKeyboard.push(adminBackButton);
+
+    await bot.sendMessage(chatId, `🎫 **Open Tickets** (${tickets.length})\n\n${lines.join('\n\n') || 'No open tickets.'}${more}`, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+  }
+
+
+  // --- Admin: Coupons ---
+  async function showCoupons(chatId) {
+    const coupons = await db.coupons.list();
+    const lines = coupons.map(c => {
+      const limits = [
+        c.CategoryID,
+        c.MinQty && `min ${c.MinQty}`,
+        c.PerUserLimit && `${c.PerUserLimit}/user`,
+        c.ExpiresAt && `until ${new Date(c.ExpiresAt).toLocaleDateString()}`
+      ].filter(Boolean);
+      return `${c.Status === 'Active' ? '🟢' : '⚪'} \`${c.Code}\` ${c.Type === 'percent' ? `${c.Value}%` : `₹${c.Value}`} off · used ${c.Uses || 0}${c.MaxUses ? `/${c.MaxUses}` : ''}${limits.length > 0 ? ` · ${limits.join(', ')}` : ''}`;
+    });
+
+    const inlineKeyboard = coupons.map(c => [
+      { text: `${c.Status === 'Active' ? '⏸️ Disable' : '▶️ Enable'} ${c.Code}`, callback_data: `adm_coupon_toggle_${c.Code}` },
+      { text: `🗑️ Delete ${c.Code}`, callback_data: `adm_coupon_del_${c.Code}` }
+    ]);
+    inlineKeyboard.push([{ text: "➕ New Coupon", callback_data: 'adm_coupon_new' }]);
+    inlineKeyboard.push(adminBackButton);
+
+    await bot.sendMessage(chatId, `🏷️ **Coupons**\n\n${lines.join('\n') || 'No coupons yet.'}`, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+  }
+
+
+  // --- Admin: Sales & Inventory Stats ---
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Dates are written with toLocaleString(); Sheets may hand them back reformatted, so parse loosely.
+  function parseSheetDate(value) {
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  // What an order actually earned: partial deliveries credit the rest back to the wallet.
+  function orderRevenue(order) {
+    return (parseFloat(order.Amount) || 0) - (parseFloat(order.CreditedAmount) || 0);
+  }
+
+  async function buildStatsReport() {
+    const now = Date.now();
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    const orders = await db.orders.list();
+    const categories = await db.categories.list();
+    const users = await db.users.list();
+
+    const dated = orders.map(o => ({ ...o, time: parseSheetDate(o.Date) }));
+    const successful = dated.filter(o => o.Status === 'Successful');
+
+    const period = (label, since) => {
+      const placed = dated.filter(o => o.time !== null && o.time >= since && !['Awaiting Proof', 'Expired'].includes(o.Status));
+      const sold = placed.filter(o => o.Status === 'Successful');
+      const revenue = sold.reduce((sum, o) => sum + orderRevenue(o), 0);
+      return `${label}: ₹${revenue.toFixed(2)} from ${sold.length} orders (${placed.length} placed)`;
+    };
+
+    const last30 = successful.filter(o => o.time !== null && o.time >= now - 30 * DAY_MS);
+    const stockCounts = await getStockCounts();
+    const categoryLines = categories.map(cat => {
+      const sold = last30.filter(o => o.CategoryID === cat.CategoryID);
+      const codes = sold.reduce((sum, o) => sum + (o.VoucherCodeDelivered || '').split('\n').filter(c => c.trim()).length, 0);
+      const revenue = sold.reduce((sum, o) => sum + orderRevenue(o), 0);
+      const stock = stockCounts[cat.CategoryID] || 0;
+      const lowMark = stock < getLowStockThreshold(cat) ? ' ⚠️' : '';
+      return `₹${cat.Value}: ${codes} codes, ₹${revenue.toFixed(2)} · stock ${stock}${lowMark}`;
+    });
+
+    const verified = users.filter(u => u.Verified === 'Yes');
+    const buyers = new Set(successful.map(o => o.UserID));
+    const verifiedBuyers = verified.filter(u => buyers.has(u.UserID)).length;
+    const conversion = verified.length > 0 ? (verifiedBuyers / verified.length * 100).toFixed(1) : '0.0';
+
+    const pending = dated.filter(o => o.Status === 'Pending');
+    const oldestPending = pending.reduce((oldest, o) => (o.time !== null && (oldest === null || o.time < oldest) ? o.time : oldest), null);
+
+    const approvalTimes = successful
+      .map(o => parseSheetDate(o.ProcessedAt) - o.time)
+      .filter(ms => !isNaN(ms) && ms >= 0);
+    const avgApproval = approvalTimes.length > 0 ? formatDuration(approvalTimes.reduce((a, b) => a + b, 0) / approvalTimes.length) : 'n/a';
+
+    return `📊 **Sales & Inventory**\n\n` +
+      `**Revenue**\n${period('Today', startOfToday)}\n${period('7 days', now - 7 * DAY_MS)}\n${period('30 days', now - 30 * DAY_MS)}\n\n` +
+      `**By category (30 days)**\n${categoryLines.join('\n') || 'No categories'}\n\n` +
+      `**Customers**\nVerified users: ${verified.length}\nBuyers: ${verifiedBuyers} (${conversion}% conversion)\n\n` +
+      `**Orders**\nPending: ${pending.length}${oldestPending !== null ? ` (oldest ${formatDuration(now - oldestPending)} ago)` : ''}\nAvg. approval time: ${avgApproval}`;
+  }
+
+  async function showStats(chatId) {
+    await bot.sendMessage(chatId, await buildStatsReport(), { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [adminBackButton] } });
+  }
+
+  // --- Low Stock Alerts ---
+  function getLowStockThreshold(category) {
+    const threshold = parseInt(category.LowStockThreshold);
+    return isNaN(threshold) ? LOW_STOCK_THRESHOLD : threshold;
+  }
+
+  // Alerts once, when the stock crosses below the category's threshold (not on every sale after).
+  function checkLowStock(category, previousStock, newStock) {
+    const threshold = getLowStockThreshold(category);
+    if (previousStock >= threshold && newStock < threshold) {
+      notifyAdmins('catalog', `📉 **Low Stock:** ₹${category.Value} voucher has only ${newStock} codes left (alert below ${threshold}).`, { parse_mode: 'Markdown' });
+    }
+  }
+
+
+  // --- Main Menu Screens ---
+  const ORDERS_PAGE_SIZE = 5;
+  const ORDER_STATUS_ICONS = { 'Awaiting Proof': '💳', Pending: '⏳', Successful: '✅', Declined: '❌', Expired: '⌛' };
+
+  async function showBuyVouchers(chatId) {
+    const categories = await db.categories.list();
+    if (categories.length === 0) {
+      return bot.sendMessage(chatId, "😔 No vouchers are available right now. Please check back later.", { parse_mode: 'Markdown' });
+    }
+
+    const inlineKeyboard = [];
+    for (const cat of categories) {
+      const available = await getAvailableStock(cat);
+      const p1 = parseFloat(cat.Price1 || cat.Price || 0).toFixed(2);
+      const label = available > 0 ? `₹${cat.Value} Voucher - ₹${p1}/code (${available} left)` : `₹${cat.Value} Voucher - Out of stock`;
+      inlineKeyboard.push([{ text: label, callback_data: `select_cat_${cat.CategoryID}` }]);
+    }
+    await bot.sendMessage(chatId, "🛍️ **Buy Vouchers**\n\nSelect a voucher value:", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+  }
+
+  // Newest orders first, ORDERS_PAGE_SIZE per page. Page buttons edit the same message.
+  async function showMyOrders(chatId, userId, page = 0, messageId = null) {
+    const orders = (await db.orders.listByUser(userId)).reverse();
+    if (orders.length === 0) {
+      return bot.sendMessage(chatId, "📦 You haven't placed any orders yet. Tap 🛍️ Buy Vouchers to get started!", { parse_mode: 'Markdown' });
+    }
+
+    const totalPages = Math.ceil(orders.length / ORDERS_PAGE_SIZE);
+    page = Math.min(Math.max(page, 0), totalPages - 1);
+    // Shown as "₹500 voucher"; the raw ID (cat_500) of a deleted category goes in a code span.
+    const values = Object.fromEntries((await db.categories.list()).map(c => [c.CategoryID, c.Value]));
+    const voucher = o => values[o.CategoryID] ? `₹${values[o.CategoryID]} voucher` : `\`${o.CategoryID}\``;
+    const lines = orders.slice(page * ORDERS_PAGE_SIZE, (page + 1) * ORDERS_PAGE_SIZE).map(o =>
+      `${ORDER_STATUS_ICONS[o.Status] || '•'} \`${o.OrderID}\`\n${voucher(o)} x${o.Quantity} - ₹${o.Amount}\n${o.Status} · ${o.Date}`
+    );
+    const text = `📦 **My Orders** (page ${page + 1}/${totalPages})\n\n${lines.join('\n\n')}\n\nUse 🔄 Recover Vouchers with an Order ID to see its codes again.`;
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "⬅️ Newer", callback_data: `my_orders_page_${page - 1}` });
+    if (page < totalPages - 1) nav.push({ text: "Older ➡️", callback_data: `my_orders_page_${page + 1}` });
+    const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: nav.length > 0 ? [nav] : [] } };
+
+    if (messageId) {
+      return bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options });
+    }
+    return bot.sendMessage(chatId, text, options);
+  }
+
+  // Balance plus the latest ledger entries, newest first.
+  const WALLET_HISTORY_SIZE = 10;
+
+  async function showWallet(chatId, userId) {
+    const balance = getBalance(await db.users.get(userId));
+    const history = (await db.wallet.listByUser(userId)).reverse().slice(0, WALLET_HISTORY_SIZE);
+    const lines = history.map(t =>
+      `${t.Type === 'Credit' ? '➕' : '➖'} ₹${t.Amount} · ${t.Reason}\n${t.Date}`
+    );
+    const text = `💰 **My Wallet**\n\nBalance: **₹${balance.toFixed(2)}**\n\n` +
+      (lines.length > 0 ? `**Recent activity**\n${lines.join('\n\n')}` : "No wallet activity yet.") +
+      `\n\nRefunds for declined or partly filled orders land here. Use them at checkout with 💰 Use Wallet.`;
+    return bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+  }
+
+  // Reply-keyboard buttons. Support stays open to blocked users (it's how they reach the admin);
+  // everything else needs a verified, unblocked account.
+  async function handleMenuButton(chatId, userId, text) {
+    if (text !== "🆘 Support") {
+      const userRecord = await db.users.get(userId);
+      if (userRecord && userRecord.Status === 'Blocked') {
+        return bot.sendMessage(chatId, "🚫 **Access Denied**\nYou are blocked from this bot. Please use the 🆘 Support button to contact Admin.", { parse_mode: 'Markdown' });
+      }
+      if (!userRecord || userRecord.Verified !== 'Yes') {
+        return bot.sendMessage(chatId, "👋 Please verify first. Send /start to begin.", { parse_mode: 'Markdown' });
+      }
+    }
+
+    if (text === "🛍️ Buy Vouchers") {
+      return showBuyVouchers(chatId);
+    } else if (text === "📦 My Orders") {
+      return showMyOrders(chatId, userId);
+    } else if (text === "🔄 Recover Vouchers") {
+      await sessions.set(userId, { state: 'waiting_for_recovery_oid' });
+      return bot.sendMessage(chatId, "🔄 **Recover Vouchers**\n\nSend the **Order ID** you want to recover (e.g. `SVH1A2B3C4D`):", { parse_mode: 'Markdown', reply_markup: cancelKeyboard });
+    } else if (text === "🆘 Support") {
+      return openSupport(chatId, userId);
+    } else if (text === "💰 Wallet") {
+      return showWallet(chatId, userId);
+    } else if (text === "🤝 Refer & Earn") {
+      return showReferrals(chatId, userId);
+    } else if (text === "📜 Disclaimer") {
+      return bot.sendMessage(chatId, `📜 **Disclaimer**\n\n${DISCLAIMER_TEXT}`, { parse_mode: 'Markdown' });
+    }
+  }
+
+
+  // --- Bot Event Handlers ---
+  // Every handler is tracked while it runs, so a shutdown can wait for it (an approval halfway
+  // through delivering codes, say) instead of cutting it off.
+  const inFlightUpdates = new Set();
+
+  function trackUpdate(handler) {
+    return (...args) => {
+      const running = handler(...args)
+        .catch(error => console.error("Error handling update:", error))
+        .finally(() => inFlightUpdates.delete(running));
+      inFlightUpdates.add(running);
+      return running;
+    };
+  }
+
+  // /start command
+  bot.onText(/\/start/, trackUpdate(async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    // Check if user is blocked
+    const userRecord = await db.users.get(userId);
+    if (userRecord && userRecord.Status === 'Blocked') {
+      return bot.sendMessage(chatId, "🚫 **Access Denied**\nYou are blocked from this bot. Please use the 🆘 Support button to contact Admin.", { parse_mode: 'Markdown' });
+    }
+
+    // Check if user is verified
+    if (userRecord && userRecord.Verified === 'Yes') {
+      return showMainMenu(chatId);
+    }
+
+    // Invite link (/start ref_<userId>): remember who sent them until they pass the captcha
+    const referral = (msg.text || '').match(/ref_(\d+)/);
+    if (referral) {
+      await sessions.set(userId, { referrerId: referral[1] });
+    }
+
+    // New user or unverified
+    await bot.sendMessage(chatId, "👋 **Welcome to Shein Voucher Hub**\n\nPlease join our official channels to continue:", {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "📢 Main Channel", url: "https://t.me/SheinVoucherHub" }],
+          [{ text: "📦 Order Channel", url: "https://t.me/OrdersNotify" }],
+          [{ text: "✅ I've Joined - Verify", callback_data: 'check_join' }]
+        ]
+      }
+    });
+  }));
+
+  // /admin command - admin dashboard
+  bot.onText(/^\/admin$/, trackUpdate(async (msg) => {
+    if (!(await authorizeAdmin(msg.from.id, 'panel', '/admin'))) return;
+    await sessions.clear(msg.from.id);
+    return showAdminPanel(msg.chat.id);
+  }));
+
+  // /stats command (admin) - sales and inventory report
+  bot.onText(/^\/stats$/, trackUpdate(async (msg) => {
+    if (!(await authorizeAdmin(msg.from.id, 'stats', '/stats'))) return;
+    return showStats(msg.chat.id);
+  }));
+
+  // /refresh command (admin) - drop cached sheet data after editing the spreadsheet by hand
+  bot.onText(/^\/refresh$/, trackUpdate(async (msg) => {
+    if (!(await authorizeAdmin(msg.from.id, 'catalog', '/refresh'))) return;
+    storage.invalidate();
+    await bot.sendMessage(msg.chat.id, "🔄 **Cache cleared.** The next request will reload everything from the sheet.", { parse_mode: 'Markdown' });
+  }));
+
+  // /cancel command - leave any flow (checkout, support, admin prompts) and go home
+  bot.onText(/^\/cancel$/, trackUpdate(async (msg) => {
+    const hadState = !!sessions.get(msg.from.id);
+    await resetConversation(msg.from.id);
+    await bot.sendMessage(msg.chat.id, hadState ? "❌ Cancelled." : "Nothing to cancel.", { parse_mode: 'Markdown' });
+    return showMainMenu(msg.chat.id);
+  }));
+
+  // --- Callback Query Handler (for inline buttons) ---
+  bot.on('callback_query', trackUpdate(async (callbackQuery) => {
+    const chatId = callbackQuery.message.chat.id;
+    const userId = callbackQuery.from.id;
+    const data = callbackQuery.data;
+    touchUser(userId).catch(error => console.error("Error recording user activity:", error.message));
+
+    // Every admin button goes through the permission check first
+    if (data.startsWith('adm_')) {
+      const permission = permissionForCallback(data);
+      if (!(await authorizeAdmin(userId, permission, data))) {
+        return bot.answerCallbackQuery(callbackQuery.id, { text: "🚫 You are not allowed to do that.", show_alert: true });
+      }
+    }
+
+    bot.answerCallbackQuery(callbackQuery.id); // Acknowledge the button press
+
+    // Blocked users can still use support; any other button (an old checkout, say) is refused
+    if (!data.startsWith('adm_') && !data.startsWith('sup_') && await refuseIfBlocked(chatId, userId)) return;
+
+    // --- User Verification Flow ---
+    if (data === 'check_join') {
+      try {
+        const chatMember = await bot.getChatMember('@SheinVoucherHub', userId); // Needs bot to be admin in channel
+        if (chatMember.status === 'member' || chatMember.status === 'administrator' || chatMember.status === 'creator') {
+          return sendCaptcha(chatId, userId);
+        } else {
+          bot.sendMessage(chatId, "❌ **Verification Failed!**\nPlease join @SheinVoucherHub first and then tap verify again.", { parse_mode: 'Markdown' });
+        }
+      } catch (error) {
+        console.error("Error checking chat member:", error);
+        bot.sendMessage(chatId, "An error occurred during verification. Please try again later.", { parse_mode: 'Markdown' });
+        notifyAdmins('errors', `⚠️ Error in check_join for user ${userId}: ${error.message}`);
+      }
+    } 
+
+    // --- Buy Vouchers Flow - Category Selection ---
+    else if (data.startsWith('select_cat_')) {
+      const categoryId = data.replace('select_cat_', '');
+      await sessions.set(userId, { state: 'waiting_for_qty_selection', categoryId: categoryId });
+      await releaseUserHolds(userId); // Coming back from the payment summary gives the hold up
+
+      const selectedCat = await db.categories.get(categoryId);
+
+      if (!selectedCat) {
+        bot.sendMessage(chatId, "❌ Error: Selected category not found. Please try again.", { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const available = await getAvailableStock(selectedCat);
+      const p1 = parseFloat(selectedCat.Price1 || selectedCat.Price || 0).toFixed(2);
+      const text = `📦 **₹${selectedCat.Value} Shein Voucher**\nAvailable stock: ${available} codes\n\nRate: ₹${p1} / code\n\n**Select quantity:**`;
+
+      const inlineKeyboard = [
+        [{ text: "1 code", callback_data: `qty_btn_1_${categoryId}` }, { text: "5 codes", callback_data: `qty_btn_5_${categoryId}` }],
+        [{ text: "10 codes", callback_data: `qty_btn_10_${categoryId}` }, { text: "Custom", callback_data: `qty_btn_custom_${categoryId}` }],
+        [{ text: "⬅️ Back", callback_data: "back_to_buy_vouchers" }]
+      ];
+      await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } 
+
+    // --- Buy Vouchers Flow - Quantity Buttons ---
+    else if (data.startsWith('qty_btn_')) {
+      const parts = data.split('_'); // e.g., ['qty', 'btn', '1', 'cat', '500']
+      const qty = parseInt(parts[2]); // The quantity number
+      const categoryId = parts.slice(3).join('_'); // CategoryIDs contain '_' themselves
+
+      if (parts[2] === 'custom') { // Custom button was pressed
+        await sessions.set(userId, { state: 'waiting_for_custom_qty_input', categoryId: categoryId });
+        await bot.sendMessage(chatId, "🔢 Please type the **number of codes** you want to buy:", { parse_mode: 'Markdown' });
+      } else if (!isNaN(qty)) { // 1, 5, 10 quantity buttons
+        return processQuantityAndShowPayment(chatId, userId, categoryId, qty);
+      }
+    } 
+
+    // --- Buy Vouchers Flow - Back to Category List ---
+    else if (data === 'back_to_buy_vouchers') {
+      await resetConversation(userId);
+      return showBuyVouchers(chatId);
+    }
+
+    // --- My Orders Pagination ---
+    else if (data.startsWith('my_orders_page_')) {
+      const page = parseInt(data.replace('my_orders_page_', '')) || 0;
+      return showMyOrders(chatId, userId, page, callbackQuery.message.message_id);
+    }
+
+    // --- Checkout Cancelled ---
+    else if (data === 'cancel_checkout') {
+      await resetConversation(userId);
+      await bot.sendMessage(chatId, "❌ Checkout cancelled. Your reserved codes have been released.", { parse_mode: 'Markdown' });
+      return showMainMenu(chatId);
+    }
+
+    // --- Payment Proof Submission ---
+    else if (data === 'submit_proof') {
+      const checkout = sessions.get(userId);
+      // Only a payment summary on screen (or an order already started from one) can be paid;
+      // an old "I've Paid" button after Back or a new category pick is stale.
+      if (!checkout || !checkout.categoryId || (checkout.state !== 'waiting_for_payment' && !checkout.orderId)) {
+        return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+      }
+      // The order exists from here on, so it can expire if the proof never comes.
+      const orderId = checkout.orderId || await createAwaitingOrder(userId, callbackQuery.from.first_name, checkout);
+      if (!orderId) {
+        return bot.sendMessage(chatId, "❌ Could not start your order right now. Please tap the button again in a moment.", { parse_mode: 'Markdown' });
+      }
+      await sessions.update(userId, { state: 'waiting_for_screenshot', orderId: orderId });
+      await bot.sendMessage(chatId, `📸 Please send the **screenshot** of your payment proof:\n\nOrder ID: \`${orderId}\` (send the proof within ${PROOF_TIMEOUT_MINUTES} minutes)`, { parse_mode: 'Markdown' });
+    } 
+
+    // --- Wallet at Checkout ---
+    else if (data === 'wallet_toggle') {
+      const checkout = sessions.get(userId);
+      if (!checkout || checkout.state !== 'waiting_for_payment') {
+        return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+      }
+      const balance = getBalance(await db.users.get(userId));
+      const walletAmount = checkout.walletAmount > 0 ? 0 : Math.min(balance, checkout.amount);
+      await sessions.update(userId, { walletAmount: walletAmount });
+      return showPaymentSummary(chatId, userId, callbackQuery.message.message_id);
+    } else if (data === 'wallet_confirm') {
+      const checkout = sessions.get(userId);
+      if (!checkout || checkout.state !== 'waiting_for_payment' || !(checkout.walletAmount >= checkout.amount)) {
+        return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+      }
+      await sessions.update(userId, { state: 'submitting_order' }); // Ignore repeat taps while saving
+      return submitOrder(chatId, userId, '', callbackQuery.from.first_name);
+    }
+
+    // --- Coupon at Checkout ---
+    else if (data === 'coupon_prompt' || data === 'coupon_remove') {
+      const checkout = sessions.get(userId);
+      if (!checkout || checkout.state !== 'waiting_for_payment') {
+        return bot.sendMessage(chatId, "❌ Your checkout session has expired. Please start again from 🛍️ Buy Vouchers.", { parse_mode: 'Markdown' });
+      }
+      if (data === 'coupon_prompt') {
+        await sessions.update(userId, { state: 'waiting_for_coupon' });
+        return bot.sendMessage(chatId, "🏷️ Type your **coupon code**:", { parse_mode: 'Markdown' });
+      }
+      await sessions.update(userId, { couponCode: '', discount: 0, amount: checkout.subtotal, walletAmount: Math.min(checkout.walletAmount || 0, checkout.subtotal) });
+      return showPaymentSummary(chatId, userId, callbackQuery.message.message_id);
+    }
+
+    // --- Support Tickets (user side) ---
+    else if (data.startsWith('sup_')) {
+      const [, action, ticketId] = data.split('_');
+      const ticket = await db.tickets.get(ticketId);
+      if (!ticket || ticket.UserID !== userId.toString()) return;
+      if (ticket.Status !== 'Open') {
+        return bot.sendMessage(chatId, `ℹ️ Ticket \`${ticketId}\` is closed. Press 🆘 Support to open a new one.`, { parse_mode: 'Markdown' });
+      }
+      if (action === 'reply') {
+        await sessions.set(userId, { state: 'in_support_mode' });
+        await bot.sendMessage(chatId, `💬 Type your message for ticket \`${ticketId}\` (or send a screenshot). Send /cancel when you're done.`, { parse_mode: 'Markdown', reply_markup: cancelKeyboard });
+      } else if (action === 'attach') {
+        await sessions.set(userId, { state: 'waiting_for_ticket_order', ticketId: ticketId });
+        await bot.sendMessage(chatId, "📎 Send the **Order ID** this ticket is about (e.g. `SVH1A2B3C4D`):", { parse_mode: 'Markdown', reply_markup: cancelKeyboard });
+      } else if (action === 'close') {
+        await closeTicket(ticketId, 'user', userId);
+        await resetConversation(userId);
+        await bot.sendMessage(chatId, `✅ Ticket \`${ticketId}\` closed. Thanks for reaching out!`, { parse_mode: 'Markdown', reply_markup: mainMenuKeyboard });
+      }
+    }
+
+    // --- Admin Order Management ---
+    else if (data.startsWith('adm_approve_')) {
+      const orderId = data.replace('adm_approve_', '');
+      return handleAdminOrderAction(chatId, userId, orderId, 'Approve');
+    } else if (data.startsWith('adm_decline_')) {
+      const orderId = data.replace('adm_decline_', '');
+      return handleAdminOrderAction(chatId, userId, orderId, 'Decline');
+    } else if (data.startsWith('adm_partial_')) {
+      const orderId = data.replace('adm_partial_', '');
+      return handleAdminOrderAction(chatId, userId, orderId, 'Partial');
+    } else if (data.startsWith('adm_credit_')) {
+      const orderId = data.replace('adm_credit_', '');
+      return creditDeclinedOrder(chatId, userId, orderId);
+    }
+
+    // --- Admin Panel ---
+    else if (data === 'adm_panel') {
+      await sessions.clear(userId);
+      return showAdminPanel(chatId);
+    }
+
+    else if (data === 'adm_stats') {
+      return showStats(chatId);
+    }
+
+    // --- Admin Coupon Management ---
+    else if (data === 'adm_coupons') {
+      await sessions.clear(userId);
+      return showCoupons(chatId);
+    } else if (data === 'adm_coupon_new') {
+      await sessions.set(userId, { state: 'adm_waiting_for_coupon' });
+      await bot.sendMessage(chatId, "➕ **New Coupon**\n\nSend it in one line:\n`CODE percent|fixed VALUE [cat=cat_500] [min=2] [expires=2026-12-31] [max=100] [per_user=1]`\n\nExample: `DIWALI10 percent 10 max=50 per_user=1`", { parse_mode: 'Markdown' });
+    } else if (data.startsWith('adm_coupon_toggle_')) {
+      const code = data.replace('adm_coupon_toggle_', '');
+      const coupon = await db.coupons.get(code);
+      if (coupon) {
+        const newStatus = coupon.Status === 'Active' ? 'Disabled' : 'Active';
+        await db.coupons.update(code, { Status: newStatus });
+        await logActivity(userId, 'Coupon Updated', `${code} | ${newStatus}`);
+      }
+      return showCoupons(chatId);
+    } else if (data.startsWith('adm_coupon_del_')) {
+      const code = data.replace('adm_coupon_del_', '');
+      if (await db.coupons.remove(code)) await logActivity(userId, 'Coupon Deleted', code);
+      return showCoupons(chatId);
+    }
+
+    // --- Admin Category/Price Management ---
+    else if (data === 'adm_add_cat_prompt') {
+      await sessions.set(userId, { state: 'adm_waiting_for_cat_value' });
+      await bot.sendMessage(chatId, "➕ **Add New Category**\n\nEnter the **Face Value** (e.g., 500, 1000). Only type the number.", { parse_mode: 'Markdown' });
+    } else if (data === 'adm_del_cat_list') {
+      const categories = await db.categories.list();
+      if (!categories || categories.length === 0) {
+          bot.sendMessage(chatId, "❌ No categories to delete.", { parse_mode: 'Markdown' });
+          return;
+      }
+      const inlineKeyboard = categories.map(cat => ([
+          { text: `🗑️ Delete ₹${cat.Value} Voucher`, callback_data: `adm_del_cat_confirm_${cat.CategoryID}` }
+      ]));
+      inlineKeyboard.push(adminBackButton);
+      await bot.sendMessage(chatId, "⚠️ **Delete Category**\n\nSelect a category to PERMANENTLY delete:", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_del_cat_confirm_')) {
+      const categoryIdToDelete = data.replace('adm_del_cat_confirm_', '');
+      await deleteCategory(chatId, categoryIdToDelete);
+      return showAdminPanel(chatId);
+    } else if (data.startsWith('adm_add_stock_prompt')) {
+      await sessions.set(userId, { state: 'adm_waiting_for_stock_cat_select' });
+      const categories = await db.categories.list();
+      if (!categories || categories.length === 0) {
+          bot.sendMessage(chatId, "❌ No categories to add stock to.", { parse_mode: 'Markdown' });
+          return;
+      }
+      const stockCounts = await getStockCounts();
+      const inlineKeyboard = categories.map(cat => ([
+          { text: `📦 Add Stock to ₹${cat.Value} (Current: ${stockCounts[cat.CategoryID] || 0})`, callback_data: `adm_add_stock_select_cat_${cat.CategoryID}` }
+      ]));
+      inlineKeyboard.push(adminBackButton);
+      await bot.sendMessage(chatId, "➕ **Add Voucher Codes to Stock**\n\nSelect the category:", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_add_stock_select_cat_')) {
+        const categoryId = data.replace('adm_add_stock_select_cat_', '');
+        const cat = await db.categories.get(categoryId);
+        if (!cat) return bot.sendMessage(chatId, "❌ Category not found.", { parse_mode: 'Markdown' });
+        await sessions.set(userId, { state: 'adm_waiting_for_voucher_codes', categoryId: categoryId });
+        await bot.sendMessage(chatId, `⌨️ Send the voucher codes for ₹${cat.Value}: one code per line or separated with commas, or upload a **.txt** or **.csv** file.\n\nYou'll see a preview before anything is added.`, { parse_mode: 'Markdown' });
+    } else if (data === 'adm_add_stock_confirm') {
+        return confirmStockImport(chatId, userId);
+    } else if (data === 'adm_add_stock_cancel') {
+        delete pendingImports[userId];
+        await sessions.clear(userId);
+        await bot.sendMessage(chatId, "❌ Import cancelled. Nothing was added.", { parse_mode: 'Markdown' });
+        return showAdminPanel(chatId);
+    } else if (data === 'adm_view_stock_list') {
+        const categories = await db.categories.list();
+        if (categories.length === 0) {
+            bot.sendMessage(chatId, "❌ No categories yet.", { parse_mode: 'Markdown' });
+            return;
+        }
+        const stockCounts = await getStockCounts();
+        const inlineKeyboard = categories.map(cat => ([
+            { text: `👁️ ₹${cat.Value} (${stockCounts[cat.CategoryID] || 0} codes)`, callback_data: `adm_view_stock_codes_${cat.CategoryID}` }
+        ]));
+        inlineKeyboard.push(adminBackButton);
+        await bot.sendMessage(chatId, "👁️ **View Stock**\n\nSelect a category to see its codes:", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_view_stock_codes_')) {
+        return showStockCodes(chatId, data.replace('adm_view_stock_codes_', ''));
+    } else if (data.startsWith('adm_view_stock_page_')) {
+        const parts = data.split('_'); // adm_view_stock_page_<page>_<categoryId>
+        return showStockCodes(chatId, parts.slice(5).join('_'), parseInt(parts[4]) || 0, callbackQuery.message.message_id);
+    } else if (data.startsWith('adm_remove_stock_prompt')) {
+        await sessions.set(userId, { state: 'adm_waiting_for_code_to_remove' });
+        await bot.sendMessage(chatId, "🗑️ **Remove Voucher Codes**\n\nEnter the exact code to remove from stock (several can go one per line):", { parse_mode: 'Markdown' });
+    } else if (data === 'adm_pricing_menu') {
+      const categories = await db.categories.list();
+      if (!categories || categories.length === 0) {
+          bot.sendMessage(chatId, "❌ No categories to set prices for.", { parse_mode: 'Markdown' });
+          return;
+      }
+      const inlineKeyboard = categories.map(cat => ([
+          { text: `💰 Set Prices for ₹${cat.Value} Voucher`, callback_data: `adm_select_tier_pricing_${cat.CategoryID}` }
+      ]));
+      inlineKeyboard.push(adminBackButton);
+      await bot.sendMessage(chatId, "📈 **Set Tiered Pricing**\n\nSelect a category to set its prices per quantity:", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_select_tier_pricing_')) {
+        const categoryId = data.replace('adm_select_tier_pricing_', '');
+        const cat = await db.categories.get(categoryId);
+        if (!cat) return bot.sendMessage(chatId, "❌ Category not found.", { parse_mode: 'Markdown' });
+        await sessions.set(userId, { state: 'adm_waiting_for_tier_selection', categoryId: categoryId });
+        const inlineKeyboard = [
+            [{ text: "1 Code Price", callback_data: `adm_input_tier_price_1_${categoryId}` }, { text: "2 Codes Price", callback_data: `adm_input_tier_price_2_${categoryId}` }],
+            [{ text: "3 Codes Price", callback_data: `adm_input_tier_price_3_${categoryId}` }, { text: "4 Codes Price", callback_data: `adm_input_tier_price_4_${categoryId}` }],
+            [{ text: "5 Codes Price", callback_data: `adm_input_tier_price_5_${categoryId}` }, { text: "10 Codes Price", callback_data: `adm_input_tier_price_10_${categoryId}` }],
+            [{ text: "20+ Codes Price", callback_data: `adm_input_tier_price_20Plus_${categoryId}` }],
+            [{ text: "⬅️ Back", callback_data: "adm_pricing_menu" }]
+        ];
+        const current = ['1', '2', '3', '4', '5', '10', '20Plus'].map(tier => `${tier}: ₹${cat['Price' + tier] || '-'}`).join('\n');
+        await bot.sendMessage(chatId, `Set price for ₹${cat.Value} voucher.\n\nCurrent prices per code:\n${current}\n\nSelect the quantity tier:`, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_input_tier_price_')) {
+        const parts = data.split('_'); // e.g., ['adm', 'input', 'tier', 'price', '1', 'cat', '500']
+        const tier = parts[4]; // '1', '5', '10', '20Plus'
+        const categoryId = parts.slice(5).join('_');
+        const cat = await db.categories.get(categoryId);
+        if (!cat) return bot.sendMessage(chatId, "❌ Category not found.", { parse_mode: 'Markdown' });
+        await sessions.set(userId, { state: 'adm_waiting_for_tier_price_input', categoryId: categoryId, tier: tier });
+        await bot.sendMessage(chatId, `⌨️ Enter the **price per code** for the ${tier} codes tier of ₹${cat.Value} voucher. (e.g., 35.50)`, { parse_mode: 'Markdown' });
+    } else if (data === 'adm_bc_prompt') {
+        await sessions.clear(userId);
+        const inlineKeyboard = Object.entries(BROADCAST_SEGMENTS).map(([segment, label]) => ([{ text: label, callback_data: `adm_bc_seg_${segment}` }]));
+        inlineKeyboard.push(adminBackButton);
+        await bot.sendMessage(chatId, "📢 **Broadcast Message**\n\nWho should receive it?", { parse_mode: 'Markdown', reply_markup: { inline_keyboard: inlineKeyboard } });
+    } else if (data.startsWith('adm_bc_seg_')) {
+        const segment = data.replace('adm_bc_seg_', '');
+        if (!BROADCAST_SEGMENTS[segment]) return;
+        if (segment === 'active') {
+            await sessions.set(userId, { state: 'adm_waiting_for_broadcast_days' });
+            return bot.sendMessage(chatId, "⏱️ Send users active in the last how many **days**? (e.g. 7)", { parse_mode: 'Markdown' });
+        }
+        return promptBroadcastMessage(chatId, userId, segment, 0);
+    } else if (data.startsWith('adm_bc_cancel_')) {
+        const cancelled = broadcaster.cancel(data.replace('adm_bc_cancel_', ''));
+        await bot.sendMessage(chatId, cancelled ? "⏹️ Stopping the broadcast - the report follows shortly." : "ℹ️ That broadcast has already finished.", { parse_mode: 'Markdown' });
+    } else if (data === 'adm_dm_prompt') {
+        await sessions.set(userId, { state: 'adm_waiting_for_dm_target_id' });
+        await bot.sendMessage(chatId, "💬 **Direct Message User**\n\nEnter the Telegram User ID of the recipient:", { parse_mode: 'Markdown' });
+    } else if (data === 'adm_tickets') {
+        await showOpenTickets(chatId);
+    } else if (data.startsWith('adm_tk_reply_')) {
+        const ticket = await db.tickets.get(data.replace('adm_tk_reply_', ''));
+        if (!ticket) return bot.sendMessage(chatId, "❌ Ticket not found.", { parse_mode: 'Markdown' });
+        await sessions.set(userId, { state: 'adm_waiting_for_ticket_reply', ticketId: ticket.TicketID });
+        await bot.sendMessage(chatId, `💬 **Reply to ${ticket.TicketID}** · ${escapeMarkdown(ticket.Name)}${ticket.Status !== 'Open' ? ' (closed)' : ''}\n\nType your answer (or send a photo). You can also reply directly to any of the ticket's messages.`, { parse_mode: 'Markdown' });
+    } else if (data.startsWith('adm_tk_close_')) {
+        const ticketId = data.replace('adm_tk_close_', '');
+        const ticket = await closeTicket(ticketId, 'admin', userId);
+        await bot.sendMessage(chatId, ticket ? `✅ Ticket \`${ticketId}\` closed and the user told.` : `ℹ️ Ticket \`${ticketId}\` is already closed.`, { parse_mode: 'Markdown' });
+    } else if (data === 'adm_block_prompt') {
+        await sessions.set(userId, { state: 'adm_waiting_for_block_id' });
+        await bot.sendMessage(chatId, "🚫 **Block/Unblock User**\n\nEnter the Telegram User ID you want to block or unblock:", { parse_mode: 'Markdown' });
+    }
+  }));
+
+
+  // --- General Message Handler (for text input) ---
+  bot.on('message', trackUpdate(async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    touchUser(userId).catch(error => console.error("Error recording user activity:", error.message));
+
+    // Commands are handled by their own onText listeners
+    if (msg.text && msg.text.startsWith('/')) return;
+
+    // Main menu buttons always escape whatever state the user is stuck in
+    if (MENU_BUTTONS.includes(msg.text)) {
+      await resetConversation(userId);
+      return handleMenuButton(chatId, userId, msg.text);
+    }
+
+    // Replying to a ticket message answers that ticket, whatever else the sender was in the middle of
+    const repliedTicketId = ticketIdFromMessage(msg.reply_to_message);
+    if (repliedTicketId && await handleTicketThreadReply(msg, repliedTicketId)) return;
+
+    const userState = sessions.get(userId);
+
+    // Same for replies: a blocked user can finish writing to support, but nothing else
+    const supportStates = ['in_support_mode', 'waiting_for_ticket_order'];
+    if (userState && userState.state && !userState.state.startsWith('adm_') && !supportStates.includes(userState.state) && await refuseIfBlocked(chatId, userId)) return;
+
+    // --- Capcha Handling (priority 1) ---
+    if (userState && userState.state === 'waiting_for_captcha') {
+      const userAnswer = parseInt(msg.text);
+      if (!isNaN(userAnswer) && userAnswer === userState.answer) {
+        await sessions.clear(userId);
+        await bot.sendMessage(chatId, "✅ **Verified Successfully!**", { parse_mode: 'Markdown' });
+
+        const userRecord = await db.users.get(userId);
+        // A referrer is only recorded once; it can't be changed by following another link later.
+        const referrerId = userRecord && userRecord.ReferredBy ? '' : await validReferrer(userId, userState.referrerId);
+
+        if (userRecord) {
+          await db.users.update(userId.toString(), { Status: 'Active', Verified: 'Yes', Date: new Date().toLocaleString(), ...(referrerId ? { ReferredBy: referrerId } : {}) });
+        } else {
+          // Users columns: UserID, Name, Date, Status, Verified, Balance, ReferredBy, LastActiveAt
+          await db.users.add([userId.toString(), msg.from.first_name, new Date().toLocaleString(), 'Active', 'Yes', '', referrerId, new Date().toISOString()]);
+        }
+        if (referrerId) await logActivity(userId, 'Referred', `by ${referrerId}`);
+        return showMainMenu(chatId);
+      } else {
+        await bot.sendMessage(chatId, "❌ Wrong answer. Please try again.", { parse_mode: 'Markdown' });
+        return sendCaptcha(chatId, userId);
+      }
+    }
+
+    // --- Custom Quantity Input Handling (priority 2) ---
+    else if (userState && userState.state === 'waiting_for_custom_qty_input') {
+      const qty = parseInt(msg.text);
+      if (!isNaN(qty) && qty > 0) {
+        await sessions.clear(userId);
+        return processQuantityAndShowPayment(chatId, userId, userState.categoryId, qty);
+      } else {
+        await bot.sendMessage(chatId, "❌ Invalid number. Please enter a valid quantity.", { parse_mode: 'Markdown' });
+      }
+    }
+
+    // --- Coupon Code Input ---
+    else if (userState && userState.state === 'waiting_for_coupon') {
+      const code = (msg.text || '').trim();
+      const check = code ? await checkCoupon(code, userId, userState.categoryId, userState.qty, userState.subtotal) : { error: "❌ Please type a coupon code." };
+      if (check.error) {
+        await sessions.update(userId, { state: 'waiting_for_payment' });
+        await bot.sendMessage(chatId, check.error, { parse_mode: 'Markdown' });
+        return showPaymentSummary(chatId, userId);
+      }
+      const amount = Math.round((userState.subtotal - check.discount) * 100) / 100;
+      await sessions.update(userId, { state: 'waiting_for_payment', couponCode: check.coupon.Code, discount: check.discount, amount: amount, walletAmount: Math.min(userState.walletAmount || 0, amount) });
+      await bot.sendMessage(chatId, `🏷️ Coupon \`${check.coupon.Code}\` applied: -₹${check.discount.toFixed(2)}`, { parse_mode: 'Markdown' });
+      return showPaymentSummary(chatId, userId);
+    }
+
+    // --- Payment Submission Flow (priority 3) ---
+    else if (userState && userState.state === 'waiting_for_screenshot') {
+      if (msg.photo && msg.photo.length > 0) {
+        const photo = msg.photo[msg.photo.length - 1];
+        await sessions.update(userId, { proofId: photo.file_id, proofUniqueId: photo.file_unique_id, state: 'waiting_for_utr' });
+        await bot.sendMessage(chatId, "✅ Screenshot received! Now, please send your **12-digit UPI Transaction ID / UTR Number**:", { parse_mode: 'Markdown' });
+      } else {
+        await bot.sendMessage(chatId, "❌ That was not a photo. Please send a screenshot of your payment.", { parse_mode: 'Markdown' });
+      }
+    } else if (userState && userState.state === 'waiting_for_utr') {
+      const utr = (msg.text || '').trim();
+      if (utr.length === 12 && !isNaN(parseInt(utr))) {
+        await sessions.update(userId, { state: 'submitting_order' }); // Ignore repeat UTRs while saving
+        return submitOrder(chatId, userId, utr, msg.from.first_name);
+      } else {
+        await bot.sendMessage(chatId, "❌ Invalid UTR. Please enter a 12-digit number.", { parse_mode: 'Markdown' });
+      }
+    }
+
+    // --- Recover Vouchers Flow (priority 4) ---
+    else if (userState && userState.state === 'waiting_for_recovery_oid') {
+      const orderId = (msg.text || '').trim().toUpperCase();
+      const order = orderId ? await db.orders.get(orderId) : null;
+      const options = { parse_mode: 'Markdown', reply_markup: mainMenuKeyboard };
+      await sessions.clear(userId);
+
+      if (!order || order.UserID !== userId.toString()) {
+          await bot.sendMessage(chatId, `⚠️ **Order not found!**\nThe ID \`${orderId.replace(/`/g, '')}\` does not exist in your orders.`, options);
+      } else if (order.Status === 'Successful') {
+          const codes = (order.VoucherCodeDelivered || '').split('\n').filter(c => c.trim().length > 0);
+          await bot.sendMessage(chatId, `✅ **Vouchers Found!**\nOrder ID: \`${orderId}\`\nCodes:\n${codes.map(c => `\`${c}\``).join('\n')}`, options);
+      } else if (order.Status === 'Declined') {
+          await bot.sendMessage(chatId, `❌ Status: **Declined**\nReason: ${escapeMarkdown(order.DeclineReason) || 'Not specified'}`, options);
+      } else if (order.Status === 'Expired') {
+          await bot.sendMessage(chatId, `⌛ Status: **Expired**\nNo payment proof arrived within ${PROOF_TIMEOUT_MINUTES} minutes. If you paid, contact 🆘 Support with this Order ID.`, options);
+      } else if (order.Status === 'Awaiting Proof') {
+          const left = PROOF_TIMEOUT_MINUTES * 60 * 1000 - (Date.now() - parseSheetDate(order.Date));
+          await bot.sendMessage(chatId, `💳 Status: **Awaiting Proof**\nWe haven't received your payment screenshot and UTR yet.${left > 0 ? ` The order expires in ${formatDuration(left)}.` : ''}`, options);
+      } else {
+          const submitted = parseSheetDate(order.Date);
+          await bot.sendMessage(chatId, `⏳ Status: **${order.Status}**\nAdmin is verifying your payment${submitted ? ` (submitted ${formatDuration(Date.now() - submitted)} ago)` : ''}. You'll get a message here as soon as it's done.`, options);
+      }
+    }
+
+    // --- Support Flow (priority 5) ---
+    else if (userState && userState.state === 'in_support_mode') {
+        return submitTicketMessage(chatId, userId, msg);
+    } else if (userState && userState.state === 'waiting_for_ticket_order') {
+        const orderId = (msg.text || '').trim().toUpperCase();
+        const order = orderId ? await db.orders.get(orderId) : null;
+        if (!order || order.UserID !== userId.toString()) {
+            bot.sendMessage(chatId, `⚠️ **Order not found!**\nThe ID \`${orderId}\` does not exist in your orders. Send it again, or /cancel.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        const ticket = await db.tickets.get(userState.ticketId);
+        await sessions.set(userId, { state: 'in_support_mode' });
+        if (!ticket || ticket.Status !== 'Open') {
+            return bot.sendMessage(chatId, "ℹ️ That ticket is closed. Your next message opens a new one.", { parse_mode: 'Markdown' });
+        }
+        await db.tickets.update(ticket.TicketID, { OrderID: order.OrderID, UpdatedAt: new Date().toLocaleString() });
+        await notifyAdmins('support', `📎 ${ticketHeader({ ...ticket, OrderID: order.OrderID })}\n\nOrder attached by the user (status: ${order.Status}).`, { parse_mode: 'Markdown', reply_markup: ticketAdminButtons(ticket.TicketID) });
+        return bot.sendMessage(chatId, `✅ Order \`${order.OrderID}\` attached to ticket \`${ticket.TicketID}\`. You can keep typing your message.`, { parse_mode: 'Markdown' });
+    }
+
+    // --- Admin Inputs (priority 6) ---
+    else if (userState && userState.state && userState.state.startsWith('adm_')) { // Admin states are re-checked on every message
+        if (!(await authorizeAdmin(userId, ADMIN_STATE_PERMISSIONS[userState.state] || 'owner', userState.state))) {
+            await sessions.clear(userId);
+            return;
+        }
+        if (userState.state === 'adm_waiting_for_coupon') {
+            const categories = await db.categories.list();
+            const parsed = parseCouponSpec(msg.text || '', categories.map(c => c.CategoryID));
+            if (parsed.error) {
+                bot.sendMessage(chatId, `${parsed.error}\n\nTry again or send /cancel.`, { parse_mode: 'Markdown' });
+                return;
+            }
+            const code = parsed.values[0];
+            if (await db.coupons.get(code)) {
+                bot.sendMessage(chatId, `❌ Coupon \`${code}\` already exists. Pick another code.`, { parse_mode: 'Markdown' });
+                return;
+            }
+            await sessions.clear(userId);
+            if (!(await db.coupons.add(parsed.values))) {
+                bot.sendMessage(chatId, "❌ Could not save the coupon. Please try again.", { parse_mode: 'Markdown' });
+                return showCoupons(chatId);
+            }
+            await logActivity(userId, 'Coupon Created', msg.text.trim());
+            await bot.sendMessage(chatId, `✅ Coupon \`${code}\` created.`, { parse_mode: 'Markdown' });
+            return showCoupons(chatId);
+        } else if (userState.state === 'adm_waiting_for_decline_reason') {
+            const reason = (msg.text || '').trim();
+            if (!reason) {
+                bot.sendMessage(chatId, "❌ Please type a reason for declining.", { parse_mode: 'Markdown' });
+                return;
+            }
+            await sessions.clear(userId);
+            return declineOrder(chatId, userId, userState.orderId, reason);
+        } else if (userState && userState.state === 'adm_waiting_for_cat_value') {
+            const value = parseInt(msg.text);
+            if (isNaN(value) || value <= 0) {
+                bot.sendMessage(chatId, "❌ Invalid input. Please enter a valid number for the face value.", { parse_mode: 'Markdown' });
+                return;
+            }
+            await sessions.update(userId, { temp_cat_value: value, state: 'adm_waiting_for_cat_price' });
+            await bot.sendMessage(chatId, `✅ Face Value set to ₹${value}.\n\nEnter the **Default Selling Price per code** for this category (e.g., 39).`, { parse_mode: 'Markdown' });
+        } else if (userState && userState.state === 'adm_waiting_for_cat_price') {
+            const price = parseFloat(msg.text);
+            if (isNaN(price) || price <= 0) {
+                bot.sendMessage(chatId, "❌ Invalid input. Please enter a valid number for the selling price.", { parse_mode: 'Markdown' });
+                return;
+            }
+            const value = userState.temp_cat_value;
+            const categoryId = `cat_${value}`;
+            // Add new category to Google Sheet 'Categories' tab
+            await db.categories.add([categoryId, value.toString(), price.toFixed(2), price.toFixed(2), price.toFixed(2), price.toFixed(2), price.toFixed(2), price.toFixed(2), price.toFixed(2), '', '', '', '']); // ID, Value, Price1, Price2, Price3, Price4, Price5, Price10, Price20Plus, Stock + VoucherCodes (legacy, see Inventory), LowStockThreshold (blank = default), CodePattern
+            await sessions.clear(userId);
+            await bot.sendMessage(chatId, `✅ **New Category ₹${value} Created!**\nDefault Price: ₹${price.toFixed(2)}.\n\nDon't forget to add stock and set tiered pricing!`, { parse_mode: 'Markdown' });
+            return showAdminPanel(chatId);
+        } else if (userState && userState.state === 'adm_waiting_for_tier_price_input') {
+            const price = parseFloat(msg.text);
+            if (isNaN(price) || price <= 0) {
+                bot.sendMessage(chatId, "❌ Invalid input. Please enter a valid price (e.g., 35.50).", { parse_mode: 'Markdown' });
+                return;
+            }
+            const updated = await db.categories.update(userState.categoryId, { [`Price${userState.tier}`]: price.toFixed(2) });
+            await sessions.clear(userId);
+            if (updated) {
+                await bot.sendMessage(chatId, `✅ ${userState.tier} codes tier of \`${userState.categoryId}\` set to ₹${price.toFixed(2)} per code.`, { parse_mode: 'Markdown' });
+            } else {
+                await bot.sendMessage(chatId, `❌ Could not update the price for \`${userState.categoryId}\`.`, { parse_mode: 'Markdown' });
+            }
+            return showAdminPanel(chatId);
+        } else if (userState && userState.state === 'adm_waiting_for_voucher_codes') {
+            const cat = await db.categories.get(userState.categoryId);
+            if (!cat) {
+                bot.sendMessage(chatId, "❌ Category not found for stock update.", { parse_mode: 'Markdown' });
+                await sessions.clear(userId);
+                return showAdminPanel(chatId);
+            }
+
+            let codes = [];
+            if (msg.document) {
+                const fileName = (msg.document.file_name || '').toLowerCase();
+                if (!/\.(txt|csv)$/.test(fileName)) {
+                    bot.sendMessage(chatId, "❌ Please upload a **.txt** or **.csv** file.", { parse_mode: 'Markdown' });
+                    return;
+                }
+                if (msg.document.file_size > MAX_IMPORT_FILE_BYTES) {
+                    bot.sendMessage(chatId, `❌ That file is too big (max ${MAX_IMPORT_FILE_BYTES / 1024} KB). Split it and upload the parts one by one.`, { parse_mode: 'Markdown' });
+                    return;
+                }
+                try {
+                    codes = parseImportCodes(await downloadImportFile(msg.document), fileName.endsWith('.csv'));
+                } catch (error) {
+                    bot.sendMessage(chatId, `❌ Could not read the file: ${error.message}`);
+                    return;
+                }
+            } else if (msg.text) {
+                codes = parseImportCodes(msg.text, false);
+            }
+            if (codes.length === 0) {
+                bot.sendMessage(chatId, "❌ No codes found. Send the codes as text or upload a .txt/.csv file.", { parse_mode: 'Markdown' });
+                return;
+            }
+            return showImportPreview(chatId, userId, cat, codes);
+        } else if (userState && userState.state === 'adm_confirming_stock_import') {
+            bot.sendMessage(chatId, "📥 Please confirm or cancel the import preview above first.", { parse_mode: 'Markdown' });
+            return;
+        } else if (userState && userState.state === 'adm_waiting_for_code_to_remove') {
+            const codes = parseImportCodes(msg.text || '', false);
+            if (codes.length === 0) {
+                bot.sendMessage(chatId, "❌ Please enter a voucher code.", { parse_mode: 'Markdown' });
+                return;
+            }
+            const lines = await removeStockCodes(userId, codes);
+            await bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'Markdown' });
+            await sessions.clear(userId);
+            return showAdminPanel(chatId);
+        } else if (userState && userState.state === 'adm_waiting_for_broadcast_days') {
+            const days = parseInt(msg.text);
+            if (isNaN(days) || days <= 0) {
+                bot.sendMessage(chatId, "❌ Please enter a number of days (e.g. 7).", { parse_mode: 'Markdown' });
+                return;
+            }
+            return promptBroadcastMessage(chatId, userId, 'active', days);
+        } else if (userState && userState.state === 'adm_waiting_for_broadcast_message') {
+            let message;
+            if (msg.photo && msg.photo.length > 0) {
+                message = { photo: msg.photo[msg.photo.length - 1].file_id, caption: msg.caption ? `📢 ${msg.caption}` : undefined };
+            } else if (msg.text) {
+                message = { text: `📢 **Broadcast Message**\n\n${msg.text}` };
+            } else {
+                bot.sendMessage(chatId, "❌ Please send text or a photo.", { parse_mode: 'Markdown' });
+                return;
+            }
+            return startBroadcast(chatId, userId, userState.segment || 'all', userState.days, message);
+        } else if (userState && userState.state === 'adm_waiting_for_dm_target_id') {
+            const targetId = parseInt(msg.text);
+            if (isNaN(targetId)) {
+                bot.sendMessage(chatId, "❌ Invalid User ID. Please enter a valid number.", { parse_mode: 'Markdown' });
+                return;
+            }
+            await sessions.update(userId, { dmTargetId: targetId, state: 'adm_waiting_for_dm_message' });
+            await bot.sendMessage(chatId, `✅ User ID set to \`${targetId}\`.\n\nNow, type the message you want to send:`, { parse_mode: 'Markdown' });
+        } else if (userState && userState.state === 'adm_waiting_for_dm_message') {
+            const targetId = userState.dmTargetId;
+            try {
+                await bot.sendMessage(targetId, `📩 **Message from Admin:**\n\n${msg.text}`, { parse_mode: 'Markdown' });
+                bot.sendMessage(chatId, `✅ Message sent to User ID: \`${targetId}\`.`, { parse_mode: 'Markdown' });
+            } catch (error) {
+                bot.sendMessage(chatId, `❌ Failed to send message to User ID: \`${targetId}\`. Error: ${error.message}`, { parse_mode: 'Markdown' });
+            }
+            await sessions.clear(userId);
+            return showAdminPanel(chatId);
+        } else if (userState && userState.state === 'adm_waiting_for_ticket_reply') {
+            const ticket = await db.tickets.get(userState.ticketId);
+            await sessions.clear(userId);
+            if (!ticket) return bot.sendMessage(chatId, "❌ Ticket not found.", { parse_mode: 'Markdown' });
+            return sendTicketReply(chatId, userId, ticket, msg);
+        } else if (userState && userState.state === 'adm_waiting_for_block_id') {
+            const targetId = parseInt(msg.text);
+            if (isNaN(targetId)) {
+                bot.sendMessage(chatId, "❌ Invalid User ID. Please enter a valid number.", { parse_mode: 'Markdown' });
+                return;
+            }
+            const userToBlock = await db.users.get(targetId);
+            if (userToBlock) {
+                const newStatus = userToBlock.Status === 'Blocked' ? 'Active' : 'Blocked';
+                await db.users.update(targetId.toString(), { Status: newStatus });
+                if (newStatus === 'Blocked') await resetConversation(targetId);
+                bot.sendMessage(chatId, `✅ User ID \`${targetId}\` status changed to **${newStatus}**.`, { parse_mode: 'Markdown' });
+            } else {
+                bot.sendMessage(chatId, `❌ User ID \`${targetId}\` not found in database.`, { parse_mode: 'Markdown' });
+            }
+            await sessions.clear(userId);
+            return showAdminPanel(chatId);
+        }
+    }
+
+    // --- Fallback for Unrecognized Messages (outside specific states) ---
+    else if (msg.text) {
+      await bot.sendMessage(chatId, "I don't understand that. Please use the menu buttons or commands.", { parse_mode: 'Markdown' });
+      await showMainMenu(chatId); // Display main menu
+    }
+  }));
+
+
+  // --- Startup ---
+  // Bring the tables up to the current layout, move any legacy stock into Inventory, and
+  // restore saved conversations before taking updates, so nobody's mid-checkout state is missed.
+  async function prepareStorage() {
+    try {
+      const changes = await ensureSchema(storage);
+      changes.forEach(change => console.log(`Schema: ${change}`));
+    } catch (error) {
+      console.error("Error checking table layout:", error.message);
+    }
+    const moved = await migrateLegacyStock();
+    if (moved > 0) console.log(`Moved ${moved} codes from Categories.VoucherCodes into Inventory.`);
+    return sessions.load();
+  }
+
+  // --- Metrics (GET /metrics) ---
+  const startedAt = Date.now();
+
+  async function collectMetrics() {
+    const orders = await db.orders.list();
+    const countStatus = status => orders.filter(o => o.Status === status).length;
+    return [
+      { name: 'bot_uptime_seconds', help: 'Seconds since the bot process started.', type: 'gauge', samples: [{ value: Math.round((Date.now() - startedAt) / 1000) }] },
+      { name: 'bot_sheet_errors_total', help: 'Failed table reads and writes since start.', type: 'counter',
+        samples: Object.entries(sheetErrorCounts).map(([key, value]) => {
+          const [op, sheet] = key.split(':');
+          return { labels: { op: op, sheet: sheet }, value: value };
+        }) },
+      { name: 'bot_pending_orders', help: 'Orders waiting for an admin to approve or decline.', type: 'gauge', samples: [{ value: countStatus('Pending') }] },
+      { name: 'bot_awaiting_proof_orders', help: 'Orders waiting for the buyer to send payment proof.', type: 'gauge', samples: [{ value: countStatus('Awaiting Proof') }] },
+      { name: 'bot_updates_in_flight', help: 'Telegram updates being handled right now.', type: 'gauge', samples: [{ value: inFlightUpdates.size }] },
+    ];
+  }
+
+  // Resolves once no update is being handled, including ones that arrive while waiting.
+  async function idle() {
+    while (inFlightUpdates.size > 0) await Promise.allSettled([...inFlightUpdates]);
+  }
+
+  // Stops the background jobs and any broadcast, then lets the updates in flight finish.
+  async function stop() {
+    broadcaster.running().forEach(job => broadcaster.cancel(job.id));
+    await scheduler.stop();
+    await idle();
+    await Promise.allSettled(broadcaster.running().map(job => job.done));
+  }
+
+  return { db, sessions, scheduler, prepareStorage, collectMetrics, idle, stop, inFlightUpdates };
+}
+
+module.exports = { createBot };
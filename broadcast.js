@@ -0,0 +1,83 @@
+// --- Broadcast Jobs ---
+// Sends one message to a list of users in the background, at most `perSecond` messages a
+// second (Telegram allows about 30). A 429 waits for the retry_after Telegram asks for and
+// tries the same user again; a 403 means the user blocked the bot (or deleted their account).
+// Jobs live in memory only: a restart stops a running broadcast.
+function createBroadcaster({ bot, perSecond = 25, maxRetries = 3, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+  const jobs = {}; // jobId -> job
+  let nextJobId = 1;
+
+  function errorStatus(error) {
+    return error.response && (error.response.statusCode || error.response.status);
+  }
+
+  function retryAfterSeconds(error) {
+    const body = error.response && error.response.body;
+    return (body && body.parameters && body.parameters.retry_after) || 1;
+  }
+
+  // message: { text } or { photo, caption }. Markdown either way.
+  function send(chatId, message) {
+    if (message.photo) {
+      return bot.sendPhoto(chatId, message.photo, { caption: message.caption, parse_mode: 'Markdown' });
+    }
+    return bot.sendMessage(chatId, message.text, { parse_mode: 'Markdown' });
+  }
+
+  // Returns 'sent', 'blocked' or 'failed'.
+  async function deliver(chatId, message) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await send(chatId, message);
+        return 'sent';
+      } catch (error) {
+        const status = errorStatus(error);
+        if (status === 403) return 'blocked';
+        if (status !== 429 || attempt >= maxRetries) {
+          console.error(`Broadcast to ${chatId} failed: ${error.message}`);
+          return 'failed';
+        }
+        await sleep(retryAfterSeconds(error) * 1000);
+      }
+    }
+  }
+
+  async function run(job, { onBlocked, onProgress, onDone }) {
+    for (const chatId of job.recipients) {
+      if (job.cancelled) break;
+      const outcome = await deliver(chatId, job.message);
+      job[outcome]++;
+      if (outcome === 'blocked' && onBlocked) await onBlocked(chatId);
+      if (onProgress) await onProgress(job);
+      await sleep(1000 / perSecond);
+    }
+    job.finished = true;
+    if (onDone) await onDone(job);
+  }
+
+  // Starts sending straight away and returns the job: { id, total, sent, failed, blocked, cancelled, finished }.
+  function start({ recipients, message, onBlocked, onProgress, onDone }) {
+    const job = { id: String(nextJobId++), recipients: recipients, message: message, total: recipients.length, sent: 0, failed: 0, blocked: 0, cancelled: false, finished: false };
+    jobs[job.id] = job;
+    job.done = run(job, { onBlocked, onProgress, onDone })
+      .catch(error => console.error(`Broadcast job ${job.id} stopped:`, error.message))
+      .finally(() => { delete jobs[job.id]; });
+    return job;
+  }
+
+  // The job stops before its next message. Returns false if it isn't running.
+  function cancel(jobId) {
+    const job = jobs[jobId];
+    if (!job) return false;
+    job.cancelled = true;
+    return true;
+  }
+
+  function running() {
+    return Object.values(jobs);
+  }
+
+  return { send, start, cancel, running };
+}
+
+module.exports = { createBroadcaster };
@@ -0,0 +1,27 @@
+// --- Configuration from Environment Variables ---
+// Everything the bot's behaviour depends on. Hosting settings (BOT_TOKEN, webhook, PORT) are
+// read by index.js; tests build their own with loadConfig({ ADMIN_ID: '1', ... }).
+function loadConfig(env) {
+  return {
+    ADMIN_ID: parseInt(env.ADMIN_ID), // Always an owner, even if the Admins sheet is empty or unreadable
+    ORDERS_NOTIFY_CHANNEL_ID: env.ORDERS_NOTIFY_CHANNEL_ID || '@OrdersNotify', // Can be ID or username
+    UPI_ID: env.UPI_ID || '',
+    UPI_NAME: env.UPI_NAME || 'Shein Voucher Hub',
+    RESERVATION_MINUTES: parseInt(env.RESERVATION_MINUTES) || 15,
+    PROOF_TIMEOUT_MINUTES: parseInt(env.PROOF_TIMEOUT_MINUTES) || 60,       // "I've Paid" orders with no screenshot/UTR by then expire
+    PENDING_REMINDER_MINUTES: parseInt(env.PENDING_REMINDER_MINUTES) || 30, // Admins are reminded once about orders pending longer
+    LOW_STOCK_THRESHOLD: parseInt(env.LOW_STOCK_THRESHOLD) || 5, // Per-category override: Categories.LowStockThreshold
+    BROADCAST_PER_SECOND: parseInt(env.BROADCAST_PER_SECOND) || 25, // Telegram's limit is about 30/s
+    REFERRAL_COMMISSION_PERCENT: parseFloat(env.REFERRAL_COMMISSION_PERCENT) || 5, // Of the referred user's first successful order
+    FRAUD_DECLINE_LIMIT: parseInt(env.FRAUD_DECLINE_LIMIT) || 2,         // Declined orders within the window before new orders are flagged
+    FRAUD_DECLINE_WINDOW_DAYS: parseInt(env.FRAUD_DECLINE_WINDOW_DAYS) || 7,
+    FRAUD_BLOCK_THRESHOLD: parseInt(env.FRAUD_BLOCK_THRESHOLD) || 3,     // Flagged orders before the user is blocked automatically
+    DISCLAIMER_TEXT: env.DISCLAIMER_TEXT ||
+      "• All vouchers are digital codes delivered in this chat after payment is verified.\n" +
+      "• Codes are checked before delivery. Once delivered, orders can't be cancelled or refunded.\n" +
+      "• Use the codes before their expiry date. We are not responsible for codes shared with others.\n" +
+      "• Payment with a wrong amount or a fake screenshot will get your order declined and your account blocked."
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,41 @@
+// --- Background Jobs ---
+// Runs tasks on a fixed interval inside the bot process. A task never overlaps itself: if a
+// run is still going when the next one is due (a slow Sheets call, say), that tick is skipped.
+// Nothing is remembered here across restarts, so a task that must not repeat itself records
+// what it has done in storage (e.g. Orders.RemindedAt) and checks that first.
+function createScheduler({ onError = (name, error) => console.error(`Error ${name}:`, error.message) } = {}) {
+  const tasks = [];
+
+  function start(entry) {
+    if (!entry.running) {
+      entry.running = Promise.resolve()
+        .then(entry.task)
+        .catch(error => onError(entry.name, error))
+        .finally(() => { entry.running = null; });
+    }
+    return entry.running;
+  }
+
+  function every(name, seconds, task) {
+    const entry = { name: name, task: task, running: null };
+    entry.timer = setInterval(() => start(entry), seconds * 1000);
+    tasks.push(entry);
+  }
+
+  // Runs a task now instead of waiting for its next tick (or joins the run in progress).
+  async function run(name) {
+    const entry = tasks.find(t => t.name === name);
+    if (!entry) throw new Error(`No scheduled task "${name}"`);
+    await start(entry);
+  }
+
+  // No new runs start; resolves once the ones in progress have finished.
+  async function stop() {
+    tasks.forEach(entry => clearInterval(entry.timer));
+    await Promise.all(tasks.map(entry => entry.running).filter(Boolean));
+  }
+
+  return { every, run, stop };
+}
+
+module.exports = { createScheduler };
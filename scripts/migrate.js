@@ -0,0 +1,35 @@
+require('dotenv').config();
+const { createBackend } = require('../storage');
+
+// --- One-shot Storage Migration ---
+// Copies every table from one backend to the other, replacing what the target has.
+//   npm run migrate -- sheets-to-local
+//   npm run migrate -- local-to-sheets
+const DIRECTIONS = {
+  'sheets-to-local': ['sheets', 'local'],
+  'local-to-sheets': ['local', 'sheets'],
+};
+
+async function migrate(direction) {
+  const [from, to] = DIRECTIONS[direction];
+  const source = createBackend(process.env, from);
+  const target = createBackend(process.env, to);
+
+  const tables = await source.listTables();
+  for (const name of tables) {
+    const values = await source.readTable(name);
+    await target.writeTable(name, values);
+    console.log(`✅ ${name}: ${Math.max(values.length - 1, 0)} rows copied (${from} -> ${to})`);
+  }
+}
+
+const direction = process.argv[2];
+if (!DIRECTIONS[direction]) {
+  console.error(`Usage: node scripts/migrate.js <${Object.keys(DIRECTIONS).join('|')}>`);
+  process.exit(1);
+}
+
+migrate(direction).catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// --- HTTP Server (webhook mode, health checks) ---
+// POST <webhookPath>  a Telegram update; refused unless it carries the secret token the bot
+//                     registered with setWebHook (X-Telegram-Bot-Api-Secret-Token header).
+// GET  /healthz       200 while the bot is taking updates, 503 once it is shutting down.
+// GET  /metrics       Prometheus text format, from getMetrics().
+// While shutting down, updates get a 503 so Telegram keeps them for the next instance.
+const MAX_UPDATE_BYTES = 1024 * 1024;
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_UPDATE_BYTES) {
+        reject(Object.assign(new Error('update too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// metrics: [{ name, help, type, samples: [{ labels, value }] }]
+function formatMetrics(metrics) {
+  return metrics.map(metric => {
+    const samples = metric.samples.map(sample => {
+      const labels = Object.entries(sample.labels || {}).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, '\\$&')}"`);
+      return `${metric.name}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${sample.value}`;
+    });
+    return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...samples].join('\n');
+  }).join('\n') + '\n';
+}
+
+// webhookPath/secretToken are only needed in webhook mode; without them the server just
+// answers health checks.
+function createHttpServer({ bot, webhookPath, secretToken, getMetrics }) {
+  let accepting = true;
+
+  function send(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    res.end(body);
+  }
+
+  async function handle(req, res) {
+    const path = req.url.split('?')[0];
+
+    if (webhookPath && path === webhookPath) {
+      if (req.method !== 'POST') return send(res, 405, 'method not allowed');
+      if (!tokensMatch(req.headers['x-telegram-bot-api-secret-token'], secretToken)) return send(res, 401, 'unauthorized');
+      if (!accepting) return send(res, 503, 'shutting down');
+      let update;
+      try {
+        update = JSON.parse(await readBody(req));
+      } catch (error) {
+        return send(res, error.statusCode || 400, error.statusCode ? error.message : 'invalid JSON');
+      }
+      bot.processUpdate(update);
+      return send(res, 200, 'ok');
+    }
+
+    if (req.method === 'GET' && path === '/healthz') {
+      return accepting ? send(res, 200, 'ok') : send(res, 503, 'shutting down');
+    }
+
+    if (req.method === 'GET' && path === '/metrics') {
+      return send(res, 200, formatMetrics(await getMetrics()), 'text/plain; version=0.0.4; charset=utf-8');
+    }
+
+    return send(res, 404, 'not found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      console.error(`Error serving ${req.method} ${req.url}:`, error.message);
+      if (!res.headersSent) send(res, 500, 'internal error');
+    });
+  });
+
+  return {
+    listen: (port) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => resolve(server.address().port));
+    }),
+    // Health checks fail and updates are turned away from now on.
+    stopAccepting: () => { accepting = false; },
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeIdleConnections(); // Telegram keeps its connection open between updates
+    }),
+  };
+}
+
+module.exports = { createHttpServer, formatMetrics };
@@ -0,0 +1,69 @@
+// --- Read Cache ---
+// Wraps a backend so repeated reads of a table are served from memory for a per-table
+// TTL. Any write through the wrapper drops that table's entry straight away, so the
+// bot always sees its own changes; edits made by hand in the spreadsheet show up once
+// the TTL runs out (or after invalidate(), e.g. the admin /refresh command).
+function withCache(backend, { ttlSeconds }) {
+  const entries = {};     // name -> { values, expiresAt }
+  const inFlight = {};    // name -> Promise, so concurrent cold reads share one request
+  const generations = {}; // bumped on every invalidation; stale responses aren't cached
+
+  function ttlFor(name) {
+    const seconds = ttlSeconds[name] !== undefined ? ttlSeconds[name] : ttlSeconds.default;
+    return (seconds || 0) * 1000;
+  }
+
+  function invalidate(name) {
+    const names = name ? [name] : Object.keys({ ...entries, ...inFlight, ...generations });
+    names.forEach(n => {
+      delete entries[n];
+      delete inFlight[n];
+      generations[n] = (generations[n] || 0) + 1;
+    });
+  }
+
+  // { fresh: true } skips the cache (used before addressing rows by number) but still refreshes it.
+  async function readTable(name, options = {}) {
+    const entry = entries[name];
+    if (!options.fresh) {
+      if (entry && entry.expiresAt > Date.now()) return entry.values;
+      if (inFlight[name]) return inFlight[name];
+    }
+
+    const generation = generations[name] || 0;
+    const request = backend.readTable(name).then(values => {
+      const ttl = ttlFor(name);
+      if (ttl > 0 && (generations[name] || 0) === generation) {
+        entries[name] = { values, expiresAt: Date.now() + ttl };
+      }
+      return values;
+    }).finally(() => {
+      if (inFlight[name] === request) delete inFlight[name];
+    });
+    if (!options.fresh) inFlight[name] = request;
+    return request;
+  }
+
+  function writeThrough(method) {
+    return async (name, ...args) => {
+      try {
+        return await backend[method](name, ...args);
+      } finally {
+        invalidate(name);
+      }
+    };
+  }
+
+  return {
+    ...backend,
+    readTable,
+    appendRows: writeThrough('appendRows'),
+    updateRow: writeThrough('updateRow'),
+    updateRows: writeThrough('updateRows'),
+    deleteRows: writeThrough('deleteRows'),
+    writeTable: writeThrough('writeTable'),
+    invalidate,
+  };
+}
+
+module.exports = { withCache };
@@ -0,0 +1,94 @@
+const { createSheetsBackend } = require('./sheetsBackend');
+const { createLocalBackend } = require('./localBackend');
+const { withCache } = require('./cache');
+
+// Seconds a table read is reused before going back to the backend. Override with
+// CACHE_TTL, e.g. "Users=120,Categories=30,default=10". 0 disables caching for a table.
+const DEFAULT_CACHE_TTL = { Admins: 60, Users: 60, Categories: 30, Orders: 15, Reservations: 15, Inventory: 15, Wallet: 15, Coupons: 30, Tickets: 15, Sessions: 0, Logs: 0, default: 15 };
+
+// --- Storage Backend Selection ---
+// STORAGE_BACKEND=sheets (default) uses the Google Spreadsheet in GOOGLE_SHEET_ID.
+// STORAGE_BACKEND=local uses the JSON file at LOCAL_STORE_PATH (default data/store.json).
+function createBackend(env, type = env.STORAGE_BACKEND || 'sheets') {
+  if (type === 'sheets') {
+    return createSheetsBackend({ spreadsheetId: env.GOOGLE_SHEET_ID, credentials: JSON.parse(env.GOOGLE_CREDENTIALS) });
+  }
+  if (type === 'local') {
+    return createLocalBackend({ file: env.LOCAL_STORE_PATH || 'data/store.json' });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${type}" (expected "sheets" or "local")`);
+}
+
+function parseCacheTtl(spec) {
+  const ttl = { ...DEFAULT_CACHE_TTL };
+  (spec || '').split(',').filter(Boolean).forEach(pair => {
+    const [name, seconds] = pair.split('=').map(s => s.trim());
+    if (name && !isNaN(parseInt(seconds))) ttl[name] = parseInt(seconds);
+  });
+  return ttl;
+}
+
+// The backend the bot runs on: the configured one, behind the read cache.
+function createCachedBackend(env) {
+  return withCache(createBackend(env), { ttlSeconds: parseCacheTtl(env.CACHE_TTL) });
+}
+
+// Turns [[headers...], [row...], ...] into [{ header: value }, ...].
+function toObjects(values) {
+  if (!values || values.length === 0) return [];
+  const headers = values[0];
+  return values.slice(1).map(row => {
+    let obj = {};
+    headers.forEach((header, i) => { obj[header] = row[i]; });
+    return obj;
+  });
+}
+
+// --- Repositories ---
+// Table-specific lookups on top of the generic row helpers, so the bot code asks for
+// "the order with this ID" instead of searching sheets itself.
+function createRepositories({ getRows, appendRow, appendRows, updateRow, updateRows, deleteRow }) {
+  function table(name, idColumn) {
+    return {
+      list: () => getRows(name),
+      get: async (id) => (await getRows(name)).find(row => row[idColumn] === id.toString()),
+      add: (values) => appendRow(name, values),
+      update: (id, data) => updateRow(name, idColumn, id.toString(), data),
+      remove: (id) => deleteRow(name, idColumn, id.toString()),
+    };
+  }
+
+  const orders = table('Orders', 'OrderID');
+  orders.listByUser = async (userId) => (await getRows('Orders')).filter(o => o.UserID === userId.toString());
+
+  // Inventory columns: CategoryID, Code, Status, AddedAt, OrderID
+  const inventory = table('Inventory', 'Code');
+  inventory.addMany = (rows) => appendRows('Inventory', rows);
+  inventory.updateMany = (codes, data) => updateRows('Inventory', 'Code', codes, data);
+
+  const wallet = table('Wallet', 'TxID');
+  wallet.listByUser = async (userId) => (await getRows('Wallet')).filter(t => t.UserID === userId.toString());
+
+  // Tickets columns: TicketID, UserID, Name, OrderID, Status, CreatedAt, UpdatedAt, LastMessage, ClosedAt
+  const tickets = table('Tickets', 'TicketID');
+  tickets.listOpen = async () => (await getRows('Tickets')).filter(t => t.Status === 'Open');
+
+  return {
+    users: table('Users', 'UserID'),
+    categories: table('Categories', 'CategoryID'),
+    coupons: table('Coupons', 'Code'),
+    orders: orders,
+    inventory: inventory,
+    reservations: table('Reservations', 'ReservationID'),
+    sessions: table('Sessions', 'UserID'),
+    tickets: tickets,
+    wallet: wallet,
+    logs: {
+      list: () => getRows('Logs'),
+      // Logs columns: Date, UserID, Action, Details
+      add: (userId, action, details) => appendRow('Logs', [new Date().toLocaleString(), userId.toString(), action, details]),
+    },
+  };
+}
+
+module.exports = { createBackend, createCachedBackend, createRepositories, toObjects };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA } = require('./schema');
+
+// --- Local JSON Backend ---
+// Mirrors the spreadsheet layout in a single JSON file: { "Users": [[headers...], [row...]], ... }
+// so the same header-driven code works offline, and migrating either way is a straight copy.
+// Everything is kept in memory and flushed to disk (write + rename) after each change.
+// A table the file doesn't have yet starts out as just its header from `schema`, so the bot
+// can run from an empty data directory.
+function createLocalBackend({ file, schema = SCHEMA }) {
+  let tables = {};
+  if (fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function flush() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(tables, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  // Sheets hands back every cell as a string; do the same here.
+  function toCell(value) {
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  function getTable(name) {
+    if (!tables[name] && schema[name]) tables[name] = [schema[name].slice()];
+    if (!tables[name]) throw new Error(`Table "${name}" does not exist in ${file}`);
+    return tables[name];
+  }
+
+  async function listTables() {
+    return Object.keys(tables);
+  }
+
+  async function readTable(name) {
+    return getTable(name).map(row => row.slice());
+  }
+
+  async function appendRows(name, rows) {
+    const table = getTable(name);
+    rows.forEach(row => table.push(row.map(toCell)));
+    flush();
+  }
+
+  // rowNumber is 1-based like a sheet row (the header is row 1). Cells left
+  // undefined/null keep their current value, matching the Sheets API.
+  async function updateRow(name, rowNumber, values) {
+    const table = getTable(name);
+    const row = table[rowNumber - 1];
+    if (!row) throw new Error(`Row ${rowNumber} does not exist in "${name}"`);
+    values.forEach((value, i) => {
+      if (value !== undefined && value !== null) row[i] = toCell(value);
+    });
+    flush();
+  }
+
+  // [{ rowNumber, values }, ...], checked up front so a bad row number changes nothing.
+  async function updateRows(name, updates) {
+    const table = getTable(name);
+    updates.forEach(u => {
+      if (!table[u.rowNumber - 1]) throw new Error(`Row ${u.rowNumber} does not exist in "${name}"`);
+    });
+    updates.forEach(u => {
+      u.values.forEach((value, i) => {
+        if (value !== undefined && value !== null) table[u.rowNumber - 1][i] = toCell(value);
+      });
+    });
+    flush();
+  }
+
+  // Removes the given 1-based rows. The file is only replaced once the new table is
+  // written, so a failed write leaves both the file and memory untouched.
+  async function deleteRows(name, rowNumbers) {
+    const table = getTable(name);
+    const remaining = table.filter((row, i) => !rowNumbers.includes(i + 1));
+    tables[name] = remaining;
+    try {
+      flush();
+    } catch (error) {
+      tables[name] = table;
+      throw error;
+    }
+  }
+
+  async function writeTable(name, values) {
+    tables[name] = values.map(row => row.map(toCell));
+    flush();
+  }
+
+  return { name: 'local', listTables, readTable, appendRows, updateRow, updateRows, deleteRows, writeTable };
+}
+
+module.exports = { createLocalBackend };
@@ -0,0 +1,48 @@
+// --- Table Layout ---
+// The columns the bot reads and writes, per table. Rows are appended positionally, so
+// the header order matters. ensureSchema() runs at startup: it creates missing tables and
+// names the trailing columns a shorter header lacks. Existing headers are never renamed
+// or moved; one that differs from the layout here is only reported.
+const SCHEMA = {
+  Users: ['UserID', 'Name', 'Date', 'Status', 'Verified', 'Balance', 'ReferredBy', 'LastActiveAt'],
+  Categories: ['CategoryID', 'Value', 'Price1', 'Price2', 'Price3', 'Price4', 'Price5', 'Price10', 'Price20Plus', 'Stock', 'VoucherCodes', 'LowStockThreshold', 'CodePattern'],
+  Orders: ['OrderID', 'UserID', 'Name', 'CategoryID', 'Quantity', 'Amount', 'ProofFileID', 'UTR', 'Status', 'Date', 'VoucherCodeDelivered', 'DeclineReason', 'ProcessedAt',
+    'ProofUniqueID', 'FraudFlags', 'WalletAmount', 'CreditedAmount', 'ReferralReward', 'CouponCode', 'Discount', 'RemindedAt', 'Announced'],
+  Inventory: ['CategoryID', 'Code', 'Status', 'AddedAt', 'OrderID'],
+  Reservations: ['ReservationID', 'UserID', 'CategoryID', 'Quantity', 'Status', 'ExpiresAt', 'OrderID', 'CreatedAt'],
+  Wallet: ['TxID', 'UserID', 'Type', 'Amount', 'Balance', 'Reason', 'OrderID', 'Date'],
+  Coupons: ['Code', 'Type', 'Value', 'CategoryID', 'MinQty', 'ExpiresAt', 'MaxUses', 'PerUserLimit', 'Uses', 'Status', 'CreatedAt'],
+  Tickets: ['TicketID', 'UserID', 'Name', 'OrderID', 'Status', 'CreatedAt', 'UpdatedAt', 'LastMessage', 'ClosedAt'],
+  Sessions: ['UserID', 'State', 'Data', 'ExpiresAt'],
+  Admins: ['UserID', 'Name', 'Role'],
+  Logs: ['Date', 'UserID', 'Action', 'Details'],
+};
+
+// Returns a list of what changed or needs a look, e.g. ['created Inventory', 'Orders: +WalletAmount'].
+async function ensureSchema(backend, schema = SCHEMA) {
+  const changes = [];
+  const existing = await backend.listTables();
+  for (const [name, columns] of Object.entries(schema)) {
+    if (!existing.includes(name)) {
+      await backend.writeTable(name, [columns]);
+      changes.push(`created ${name}`);
+      continue;
+    }
+    const values = await backend.readTable(name);
+    const header = values[0] || [];
+    columns.slice(0, header.length).forEach((column, i) => {
+      if (header[i] !== column) changes.push(`${name}: column ${i + 1} is "${header[i]}", expected "${column}"`);
+    });
+    const missing = columns.slice(header.length);
+    if (missing.length === 0) continue;
+    if (values.length === 0) {
+      await backend.writeTable(name, [columns]);
+    } else {
+      await backend.updateRow(name, 1, [...header, ...missing]);
+    }
+    changes.push(`${name}: +${missing.join(', +')}`);
+  }
+  return changes;
+}
+
+module.exports = { SCHEMA, ensureSchema };
@@ -0,0 +1,97 @@
+// --- Conversation Sessions ---
+// Keeps each user's conversation state (e.g. { state: 'waiting_for_utr', categoryId, qty, proofId })
+// in memory for fast lookups and writes every change to the 'Sessions' table, so a restart
+// mid-checkout picks up where the user left off.
+// Sessions columns: UserID, State, Data, ExpiresAt
+// Every state has its own lifetime; an expired session is simply gone, so a user who walked
+// away from a prompt is never stuck in it.
+function createSessionStore({ db, ttlMinutes, withLock }) {
+  const sessions = {};  // userId -> { data, expiresAt }
+  const hasRow = {};    // userId -> true when the table has a row for them
+
+  function ttlFor(state) {
+    if (ttlMinutes[state] !== undefined) return ttlMinutes[state];
+    if (state && state.startsWith('adm_') && ttlMinutes.admin !== undefined) return ttlMinutes.admin;
+    return ttlMinutes.default;
+  }
+
+  async function load() {
+    const now = Date.now();
+    const rows = await db.sessions.list();
+    rows.forEach(row => {
+      hasRow[row.UserID] = true;
+      let data = null;
+      try {
+        data = JSON.parse(row.Data);
+      } catch (error) {
+        console.error(`Unreadable session for ${row.UserID}:`, error.message);
+      }
+      // Expired or unreadable rows are loaded as already expired so the first sweep deletes them.
+      sessions[row.UserID] = { data: data || {}, expiresAt: data ? Date.parse(row.ExpiresAt) || 0 : 0 };
+    });
+    return Object.keys(sessions).filter(userId => sessions[userId].expiresAt > now).length;
+  }
+
+  function get(userId) {
+    const entry = sessions[userId];
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      clear(userId).catch(error => console.error(`Error clearing expired session for ${userId}:`, error.message));
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  // Writes whatever is in memory for the user right now; serialised per user so the
+  // table always ends up matching the latest change.
+  async function persist(userId) {
+    return withLock(`session:${userId}`, async () => {
+      const entry = sessions[userId];
+      if (!entry) {
+        if (hasRow[userId]) {
+          await db.sessions.remove(userId);
+          hasRow[userId] = false; // Also when there was no row: a later save must add one, not update
+        }
+        return;
+      }
+      const values = { State: entry.data.state || '', Data: JSON.stringify(entry.data), ExpiresAt: new Date(entry.expiresAt).toISOString() };
+      if (hasRow[userId]) {
+        await db.sessions.update(userId, values);
+      } else {
+        hasRow[userId] = await db.sessions.add([userId.toString(), values.State, values.Data, values.ExpiresAt]);
+      }
+    });
+  }
+
+  // Replaces the whole session; the expiry restarts from the new state's lifetime.
+  async function set(userId, data) {
+    sessions[userId] = { data: data, expiresAt: Date.now() + ttlFor(data.state) * 60 * 1000 };
+    await persist(userId);
+    return data;
+  }
+
+  // Merges fields into the current session (starting a new one if there is none).
+  async function update(userId, patch) {
+    return set(userId, { ...(get(userId) || {}), ...patch });
+  }
+
+  async function clear(userId) {
+    if (!sessions[userId] && !hasRow[userId]) return;
+    delete sessions[userId];
+    await persist(userId);
+  }
+
+  // Drops expired sessions from memory and the table. Returns the user IDs that expired.
+  async function sweep() {
+    const now = Date.now();
+    const expired = Object.keys(sessions).filter(userId => sessions[userId].expiresAt <= now);
+    for (const userId of expired) {
+      await clear(userId);
+    }
+    return expired;
+  }
+
+  return { load, get, set, update, clear, sweep };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,125 @@
+const { google } = require('googleapis');
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+
+// Retries quota (429) and server (5xx) errors with exponential backoff plus a little jitter.
+// Anything else (bad range, auth) fails straight away. A 5xx or timeout may come back after
+// the change was already made, so requests that must not run twice (appends, deleting rows
+// by position) pass idempotent = false and are only retried on 429, which is never applied.
+async function withRetry(request, idempotent = true) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const status = parseInt(error.code || (error.response && error.response.status));
+      const retryable = status === 429 || (idempotent && status >= 500);
+      if (!retryable || attempt >= MAX_RETRIES) throw error;
+      const delay = BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * BASE_DELAY_MS);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function createSheetsClient(credentials) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: credentials,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets', 'https://www.googleapis.com/auth/drive'],
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+// --- Google Sheets Backend ---
+// Each table is a tab in the spreadsheet; row 1 holds the column headers.
+// Values are exchanged as raw 2D arrays (header row first), exactly as the Sheets API returns them.
+// Writes are RAW so values are stored exactly as given: a code like 00123 stays text, and
+// a name starting with "=" is never run as a formula.
+// `sheets` replaces the Google client, e.g. with the in-memory one the tests use.
+function createSheetsBackend({ spreadsheetId, credentials, sheets = createSheetsClient(credentials) }) {
+  async function listTables() {
+    const response = await withRetry(() => sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' }));
+    return response.data.sheets.map(s => s.properties.title);
+  }
+
+  async function readTable(name) {
+    const response = await withRetry(() => sheets.spreadsheets.values.get({ spreadsheetId, range: name + '!A:ZZ' }));
+    return response.data.values || [];
+  }
+
+  async function appendRows(name, rows) {
+    await withRetry(() => sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: name + '!A:A',
+      valueInputOption: 'RAW',
+      resource: { values: rows },
+    }), false);
+  }
+
+  // rowNumber is the 1-based sheet row (the header is row 1).
+  async function updateRow(name, rowNumber, values) {
+    await withRetry(() => sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${name}!A${rowNumber}`,
+      valueInputOption: 'RAW',
+      resource: { values: [values] },
+    }));
+  }
+
+  // Several rows in one request: [{ rowNumber, values }, ...].
+  async function updateRows(name, updates) {
+    if (updates.length === 0) return;
+    await withRetry(() => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: {
+        valueInputOption: 'RAW',
+        data: updates.map(u => ({ range: `${name}!A${u.rowNumber}`, values: [u.values] })),
+      },
+    }));
+  }
+
+  // Numeric sheetId of a tab, needed by the structural (batchUpdate) requests.
+  const sheetIds = {};
+  async function getSheetId(name) {
+    if (sheetIds[name] === undefined) {
+      const response = await withRetry(() => sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties(sheetId,title)' }));
+      response.data.sheets.forEach(s => { sheetIds[s.properties.title] = s.properties.sheetId; });
+      if (sheetIds[name] === undefined) throw new Error(`Sheet "${name}" does not exist`);
+    }
+    return sheetIds[name];
+  }
+
+  // Removes the given 1-based rows in a single batchUpdate, so either all of them
+  // go or none do. Bottom-up order keeps the remaining row numbers valid.
+  async function deleteRows(name, rowNumbers) {
+    if (rowNumbers.length === 0) return;
+    const sheetId = await getSheetId(name);
+    const requests = [...rowNumbers].sort((a, b) => b - a).map(rowNumber => ({
+      deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber } }
+    }));
+    await withRetry(() => sheets.spreadsheets.batchUpdate({ spreadsheetId, resource: { requests } }), false);
+  }
+
+  // Replaces the whole tab (creating it if needed). Used by migrations.
+  async function writeTable(name, values) {
+    const tables = await listTables();
+    if (!tables.includes(name)) {
+      await withRetry(() => sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests: [{ addSheet: { properties: { title: name } } }] },
+      }), false);
+    }
+    await withRetry(() => sheets.spreadsheets.values.clear({ spreadsheetId, range: name + '!A:ZZ' }));
+    if (values.length > 0) {
+      await withRetry(() => sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: name + '!A1',
+        valueInputOption: 'RAW',
+        resource: { values: values },
+      }));
+    }
+  }
+
+  return { name: 'sheets', listTables, readTable, appendRows, updateRow, updateRows, deleteRows, writeTable };
+}
+
+module.exports = { createSheetsBackend };
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestBot, buttonsOf, ADMIN } = require('./helpers/harness');
+
+const STRANGER = { id: 42, is_bot: false, first_name: 'Priya' };
+
+test('an admin adds a category and sets a tier price', async (t) => {
+  const shop = await startTestBot();
+  t.after(() => shop.stop());
+
+  assert.match((await shop.send(ADMIN, '/admin')).text, /Admin Panel/);
+  assert.match((await shop.press(ADMIN, 'adm_add_cat_prompt')).text, /Face Value/);
+  assert.match((await shop.send(ADMIN, 'five hundred')).text, /Invalid input/);
+  assert.match((await shop.send(ADMIN, '500')).text, /Selling Price/);
+  await shop.send(ADMIN, '39');
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes('New Category ₹500 Created!')));
+
+  const [cat] = shop.sheets.rows('Categories');
+  assert.equal(cat.CategoryID, 'cat_500');
+  assert.equal(cat.Value, '500');
+  assert.deepEqual(['Price1', 'Price2', 'Price5', 'Price20Plus'].map(column => cat[column]), ['39.00', '39.00', '39.00', '39.00']);
+
+  const menu = await shop.press(ADMIN, 'adm_pricing_menu');
+  assert.ok(buttonsOf(menu).some(button => button.callback_data === 'adm_select_tier_pricing_cat_500'));
+  const tiers = await shop.press(ADMIN, 'adm_select_tier_pricing_cat_500');
+  assert.ok(buttonsOf(tiers).some(button => button.callback_data === 'adm_input_tier_price_10_cat_500'));
+  assert.match((await shop.press(ADMIN, 'adm_input_tier_price_10_cat_500')).text, /10 codes tier of ₹500/);
+  await shop.send(ADMIN, '33.5');
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes('10 codes tier of `cat_500` set to ₹33.50')));
+  assert.equal(shop.sheets.rows('Categories')[0].Price10, '33.50');
+  assert.equal(shop.sheets.rows('Categories')[0].Price1, '39.00');
+});
+
+test('stock is imported after a preview that skips duplicates', async (t) => {
+  const shop = await startTestBot({
+    tables: {
+      Categories: [['cat_500', '500', '39.00', '39.00', '39.00', '39.00', '39.00', '39.00', '39.00']],
+      Inventory: [['cat_500', 'OLD-1', 'available', '2026-01-01T00:00:00.000Z', '']],
+    },
+  });
+  t.after(() => shop.stop());
+
+  const picker = await shop.press(ADMIN, 'adm_add_stock_prompt');
+  assert.ok(buttonsOf(picker).some(button => button.text.includes('(Current: 1)')));
+  assert.match((await shop.press(ADMIN, 'adm_add_stock_select_cat_cat_500')).text, /Send the voucher codes for ₹500/);
+
+  const preview = await shop.send(ADMIN, 'NEW-1\nNEW-2, NEW-2\nOLD-1');
+  assert.match(preview.text, /Codes received: 4/);
+  assert.match(preview.text, /New: 2/);
+  assert.match(preview.text, /Repeated in this batch: 1/);
+  assert.match(preview.text, /Already in stock: 1/);
+  assert.equal(shop.sheets.rows('Inventory').length, 1); // nothing is saved before the confirm
+
+  await shop.press(ADMIN, 'adm_add_stock_confirm');
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes('Added 2 codes to ₹500. New stock: 3.')));
+  assert.deepEqual(shop.sheets.rows('Inventory').map(item => [item.Code, item.Status]), [
+    ['OLD-1', 'available'],
+    ['NEW-1', 'available'],
+    ['NEW-2', 'available'],
+  ]);
+
+  // The preview is gone once used.
+  await shop.press(ADMIN, 'adm_add_stock_confirm');
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes('This import has expired')));
+  assert.equal(shop.sheets.rows('Inventory').length, 3);
+});
+
+test('stock can be viewed and codes removed, then the category deleted', async (t) => {
+  const shop = await startTestBot({
+    tables: {
+      Categories: [['cat_1000', '1000', '79.00', '79.00', '79.00', '79.00', '79.00', '79.00', '79.00']],
+      Inventory: [
+        ['cat_1000', 'K-1', 'available', '2026-01-01T00:00:00.000Z', ''],
+        ['cat_1000', 'K-2', 'available', '2026-01-02T00:00:00.000Z', ''],
+        ['cat_1000', 'K-3', 'sold', '2026-01-03T00:00:00.000Z', 'SVHSOLD0001'],
+      ],
+    },
+  });
+  t.after(() => shop.stop());
+
+  const view = await shop.press(ADMIN, 'adm_view_stock_codes_cat_1000');
+  assert.match(view.text, /Available: 2 · Reserved: 0 · Sold: 1 · Void: 0/);
+  assert.ok(view.text.includes('```\nK-1\nK-2\n```'));
+
+  assert.match((await shop.press(ADMIN, 'adm_remove_stock_prompt')).text, /Remove Voucher Codes/);
+  await shop.send(ADMIN, 'K-1\nK-3\nNOPE');
+  const report = shop.bot.sentTo(ADMIN.id).map(s => s.text).find(text => text.includes('removed from `cat_1000`'));
+  assert.match(report, /`K-1` removed from `cat_1000`/);
+  assert.match(report, /`K-3` is sold \(order `SVHSOLD0001`\), not removed/);
+  assert.match(report, /`NOPE` not found in stock/);
+  assert.deepEqual(shop.sheets.rows('Inventory').map(item => item.Status), ['void', 'available', 'sold']);
+
+  const list = await shop.press(ADMIN, 'adm_del_cat_list');
+  assert.ok(buttonsOf(list).some(button => button.callback_data === 'adm_del_cat_confirm_cat_1000'));
+  await shop.press(ADMIN, 'adm_del_cat_confirm_cat_1000');
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes('Category ₹1000 deleted.') && s.text.includes('1 unsold codes were voided')));
+  assert.deepEqual(shop.sheets.rows('Categories'), []);
+  assert.deepEqual(shop.sheets.rows('Inventory').map(item => item.Status), ['void', 'void', 'sold']);
+});
+
+test('admin buttons and prompts are refused to other users', async (t) => {
+  const shop = await startTestBot();
+  t.after(() => shop.stop());
+
+  await shop.press(STRANGER, 'adm_add_cat_prompt');
+  const answer = shop.bot.calls.find(call => call.method === 'answerCallbackQuery');
+  assert.match(answer.params.text, /not allowed/);
+  assert.equal(shop.app.sessions.get(STRANGER.id), undefined);
+  assert.deepEqual(shop.bot.sentTo(STRANGER.id), []);
+  assert.deepEqual(shop.sheets.rows('Categories'), []);
+});
+
+test('codes held by a pending order are not removed from under it', async (t) => {
+  const shop = await startTestBot({
+    tables: {
+      Categories: [['cat_500', '500', '39.00', '39.00', '39.00', '39.00', '39.00', '39.00', '39.00']],
+      Inventory: [
+        ['cat_500', 'H-1', 'available', '2026-01-01T00:00:00.000Z', ''],
+        ['cat_500', 'H-2', 'available', '2026-01-01T00:00:00.000Z', ''],
+        ['cat_500', 'H-3', 'available', '2026-01-01T00:00:00.000Z', ''],
+      ],
+      Reservations: [['RSV1', '42', 'cat_500', '2', 'Ordered', '', 'SVHPEND0001', '2026-01-01T00:00:00.000Z']],
+    },
+  });
+  t.after(() => shop.stop());
+
+  await shop.press(ADMIN, 'adm_remove_stock_prompt');
+  await shop.send(ADMIN, 'H-1\nH-2');
+  const sent = () => shop.bot.sentTo(ADMIN.id).map(s => s.text);
+  assert.ok(sent().some(text => text.includes('Could not remove 2 codes from `cat_500`: 2 of its 3 codes are reserved by buyers or pending orders, so at most 1 can go.')));
+  assert.ok(shop.sheets.rows('Inventory').every(item => item.Status === 'available'));
+
+  await shop.press(ADMIN, 'adm_remove_stock_prompt');
+  await shop.send(ADMIN, 'H-1');
+  assert.ok(sent().some(text => text.includes('`H-1` removed from `cat_500`')));
+  assert.deepEqual(shop.sheets.rows('Inventory').map(item => item.Status), ['void', 'available', 'available']);
+});
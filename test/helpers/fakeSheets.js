@@ -0,0 +1,109 @@
+// --- In-memory Google Sheets client ---
+// Stands in for google.sheets({ version: 'v4' }) behind storage/sheetsBackend.js, covering the
+// calls the backend makes. It behaves like the real API where the bot could trip over it:
+// every cell comes back as a string, trailing empty cells are left off each row, and an
+// empty tab has no `values` at all.
+function parseRange(range) {
+  const [title, cells = 'A1'] = range.split('!');
+  const row = parseInt((cells.match(/\d+/) || ['1'])[0]);
+  return { title, row };
+}
+
+function createFakeSheets(initial = {}) {
+  const tabs = {}; // title -> { sheetId, rows }
+  let nextSheetId = 1;
+  const calls = [];
+
+  function addTab(title, rows = []) {
+    tabs[title] = { sheetId: nextSheetId++, rows: rows.map(row => row.map(cell => String(cell))) };
+  }
+  Object.entries(initial).forEach(([title, rows]) => addTab(title, rows));
+
+  function tab(title) {
+    if (!tabs[title]) throw Object.assign(new Error(`Unable to parse range: ${title}`), { code: 400 });
+    return tabs[title];
+  }
+
+  function writeRows(title, startRow, values) {
+    const rows = tab(title).rows;
+    values.forEach((values, i) => {
+      const index = startRow - 1 + i;
+      while (rows.length <= index) rows.push([]);
+      const row = rows[index];
+      values.forEach((cell, column) => { row[column] = cell === undefined || cell === null ? '' : String(cell); });
+    });
+  }
+
+  function trimmed(row) {
+    const copy = row.slice();
+    while (copy.length > 0 && copy[copy.length - 1] === '') copy.pop();
+    return copy;
+  }
+
+  const sheets = {
+    spreadsheets: {
+      async get() {
+        calls.push({ method: 'get' });
+        return { data: { sheets: Object.entries(tabs).map(([title, t]) => ({ properties: { title, sheetId: t.sheetId } })) } };
+      },
+      async batchUpdate({ resource }) {
+        calls.push({ method: 'batchUpdate', resource });
+        for (const request of resource.requests) {
+          if (request.addSheet) {
+            addTab(request.addSheet.properties.title);
+          } else if (request.deleteDimension) {
+            const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+            const entry = Object.values(tabs).find(t => t.sheetId === sheetId);
+            entry.rows.splice(startIndex, endIndex - startIndex);
+          }
+        }
+        return { data: {} };
+      },
+      values: {
+        async get({ range }) {
+          calls.push({ method: 'values.get', range });
+          const rows = tab(parseRange(range).title).rows.map(trimmed);
+          while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+          return { data: rows.length > 0 ? { values: rows } : {} };
+        },
+        async append({ range, resource }) {
+          calls.push({ method: 'values.append', range, values: resource.values });
+          const rows = tab(parseRange(range).title).rows;
+          let last = rows.length;
+          while (last > 0 && trimmed(rows[last - 1]).length === 0) last--;
+          writeRows(parseRange(range).title, last + 1, resource.values);
+          return { data: {} };
+        },
+        async update({ range, resource }) {
+          calls.push({ method: 'values.update', range, values: resource.values });
+          const { title, row } = parseRange(range);
+          writeRows(title, row, resource.values);
+          return { data: {} };
+        },
+        async batchUpdate({ resource }) {
+          calls.push({ method: 'values.batchUpdate', data: resource.data });
+          resource.data.forEach(({ range, values }) => {
+            const { title, row } = parseRange(range);
+            writeRows(title, row, values);
+          });
+          return { data: {} };
+        },
+        async clear({ range }) {
+          calls.push({ method: 'values.clear', range });
+          tab(parseRange(range).title).rows = [];
+          return { data: {} };
+        },
+      },
+    },
+  };
+
+  // Rows of a tab as objects keyed by its header, for assertions.
+  function rows(title) {
+    const [header = [], ...data] = tab(title).rows;
+    return data.map(row => Object.fromEntries(header.map((column, i) => [column, row[i] === undefined ? '' : row[i]])));
+  }
+
+  return { sheets, tabs, calls, rows };
+}
+
+module.exports = { createFakeSheets };
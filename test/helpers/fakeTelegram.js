@@ -0,0 +1,120 @@
+const TelegramBot = require('node-telegram-bot-api');
+
+// --- Legacy Markdown check ---
+// Roughly what the Bot API does with parse_mode 'Markdown': *bold*, _italic_, `code`,
+// ```pre``` and [text](url) must all be closed, and a backslash escapes the next character.
+// Returns the error Telegram would give, or null when the text would be accepted.
+function markdownError(text) {
+  const fail = index => `Bad Request: can't parse entities: Can't find end of the entity starting at byte offset ${Buffer.byteLength(text.slice(0, index))}`;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\') {
+      i++;
+    } else if (text.startsWith('```', i)) {
+      const end = text.indexOf('```', i + 3);
+      if (end === -1) return fail(i);
+      i = end + 2;
+    } else if (ch === '*' || ch === '_' || ch === '`') {
+      const end = text.indexOf(ch, i + 1);
+      if (end === -1) return fail(i);
+      i = end;
+    } else if (ch === '[') {
+      const end = text.indexOf(']', i + 1);
+      if (end === -1) return fail(i);
+      if (text[end + 1] === '(') {
+        const close = text.indexOf(')', end + 2);
+        if (close === -1) return fail(i);
+        i = close;
+      } else {
+        i = end;
+      }
+    }
+  }
+  return null;
+}
+
+// --- Fake Telegram Bot API ---
+// A real TelegramBot (so onText, processUpdate and the method signatures are the library's
+// own) whose HTTP layer is replaced: every API call is recorded and answered locally.
+// Answers can be overridden per method with respond(method, params => result), e.g. to make
+// getChatMember say the user never joined the channel. Text sent with parse_mode 'Markdown'
+// is checked first and refused the way the real API refuses it.
+class FakeTelegramBot extends TelegramBot {
+  constructor() {
+    super('123456:TEST', { polling: false });
+    this.calls = [];
+    this.refused = []; // kept through clear()
+    this.responders = {};
+    this.nextMessageId = 1000;
+    this.nextUpdateId = 1;
+  }
+
+  respond(method, responder) {
+    this.responders[method] = responder;
+  }
+
+  _request(method, options = {}) {
+    const params = { ...(options.qs || {}), ...(options.form || {}) };
+    const error = params.parse_mode === 'Markdown' ? markdownError(params.text || params.caption || '') : null;
+    this.calls.push(error ? { method, params, error } : { method, params });
+    if (error) {
+      this.refused.push({ method, params, error });
+      return Promise.reject(Object.assign(new Error(`ETELEGRAM: 400 ${error}`), { code: 'ETELEGRAM', response: { statusCode: 400, body: { ok: false, error_code: 400, description: error } } }));
+    }
+    if (this.responders[method]) {
+      return Promise.resolve().then(() => this.responders[method](params));
+    }
+    switch (method) {
+      case 'sendMessage':
+      case 'sendPhoto':
+        return Promise.resolve({ message_id: this.nextMessageId++, chat: { id: params.chat_id }, text: params.text, caption: params.caption, from: { id: 123456, is_bot: true } });
+      case 'getMe':
+        return Promise.resolve({ id: 123456, is_bot: true, username: 'TestVoucherBot' });
+      case 'getChatMember':
+        return Promise.resolve({ status: 'member' });
+      case 'getFile':
+        return Promise.resolve({ file_id: params.file_id, file_path: `documents/${params.file_id}` });
+      default:
+        return Promise.resolve(true);
+    }
+  }
+
+  // What the bot sent to a chat: [{ method, text, reply_markup, ... }], oldest first.
+  // Messages Telegram would have refused are left out; see rejected().
+  sentTo(chatId) {
+    return this.calls
+      .filter(call => !call.error && ['sendMessage', 'sendPhoto', 'editMessageText'].includes(call.method) && String(call.params.chat_id) === String(chatId))
+      .map(call => ({ method: call.method, ...call.params, text: call.params.text || call.params.caption || '' }));
+  }
+
+  lastTo(chatId) {
+    const sent = this.sentTo(chatId);
+    return sent[sent.length - 1];
+  }
+
+  // Calls refused for bad Markdown: [{ method, params, error }].
+  rejected() {
+    return this.refused;
+  }
+
+  clear() {
+    this.calls = [];
+  }
+
+  // --- Updates, as Telegram would deliver them ---
+  message(from, fields) {
+    this.processUpdate({
+      update_id: this.nextUpdateId++,
+      message: { message_id: this.nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: from.id, type: 'private' }, from: from, ...fields },
+    });
+  }
+
+  callback(from, data, message = {}) {
+    this.processUpdate({
+      update_id: this.nextUpdateId++,
+      callback_query: { id: String(this.nextUpdateId), from: from, data: data, message: { message_id: this.nextMessageId++, chat: { id: from.id, type: 'private' }, ...message } },
+    });
+  }
+}
+
+module.exports = { FakeTelegramBot };
@@ -0,0 +1,74 @@
+const { createSheetsBackend } = require('../../storage/sheetsBackend');
+const { withCache } = require('../../storage/cache');
+const { SCHEMA } = require('../../storage/schema');
+const { loadConfig } = require('../../config');
+const { createBot } = require('../../bot');
+const { FakeTelegramBot } = require('./fakeTelegram');
+const { createFakeSheets } = require('./fakeSheets');
+
+const ADMIN = { id: 1, is_bot: false, first_name: 'Owner' };
+
+// --- Test Bot ---
+// The real handlers from bot.js on a FakeTelegramBot and an in-memory spreadsheet.
+// `tables` are rows under each table's header, e.g. { Categories: [['cat_500', '500', '39']] };
+// `env` overrides the config (ADMIN_ID is 1, the ADMIN user below).
+// Every helper that sends an update waits until the bot has finished handling it, and stop()
+// fails the test if any message along the way had Markdown Telegram would have refused.
+async function startTestBot({ tables = {}, env = {} } = {}) {
+  const initial = Object.fromEntries(Object.entries(SCHEMA).map(([name, columns]) => [name, [columns, ...(tables[name] || [])]]));
+  const fake = createFakeSheets(initial);
+  const bot = new FakeTelegramBot();
+  const storage = withCache(createSheetsBackend({ spreadsheetId: 'test-sheet', sheets: fake.sheets }), { ttlSeconds: { default: 0 } });
+  const app = createBot({ bot, storage, config: loadConfig({ ADMIN_ID: String(ADMIN.id), UPI_ID: 'shop@upi', ...env }) });
+  await app.prepareStorage();
+
+  // Some work is started without being awaited (admin alerts, user activity), so give it a
+  // few turns of the event loop once the handlers are done.
+  async function settle() {
+    for (let i = 0; i < 5; i++) {
+      await app.idle();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  async function send(user, text) {
+    bot.message(user, { text });
+    await settle();
+    return bot.lastTo(user.id);
+  }
+
+  async function sendPhoto(user, fileId) {
+    bot.message(user, { photo: [{ file_id: `${fileId}_small`, file_unique_id: `${fileId}_s`, width: 90, height: 90 }, { file_id: fileId, file_unique_id: `${fileId}_u`, width: 800, height: 800 }] });
+    await settle();
+    return bot.lastTo(user.id);
+  }
+
+  async function press(user, data) {
+    bot.callback(user, data);
+    await settle();
+    return bot.lastTo(user.id);
+  }
+
+  // /start, "I've Joined", then the captcha answer the bot saved in the session.
+  async function verify(user) {
+    await send(user, '/start');
+    await press(user, 'check_join');
+    return send(user, String(app.sessions.get(user.id).answer));
+  }
+
+  async function stop() {
+    await app.stop();
+    const rejected = bot.rejected().map(call => `${call.method} to ${call.params.chat_id}: ${call.error}\n${call.params.text || call.params.caption}`);
+    if (rejected.length > 0) throw new Error(`Telegram would have refused ${rejected.length} messages:\n\n${rejected.join('\n\n')}`);
+  }
+
+  return { app, bot, sheets: fake, settle, send, sendPhoto, press, verify, stop };
+}
+
+// Buttons of a sent message, flattened: [{ text, callback_data }, ...].
+function buttonsOf(sent) {
+  const markup = typeof sent.reply_markup === 'string' ? JSON.parse(sent.reply_markup) : sent.reply_markup;
+  return ((markup && markup.inline_keyboard) || []).flat();
+}
+
+module.exports = { startTestBot, buttonsOf, ADMIN };
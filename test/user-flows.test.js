@@ -0,0 +1,293 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestBot, buttonsOf, ADMIN } = require('./helpers/harness');
+
+const BUYER = { id: 42, is_bot: false, first_name: 'Priya' };
+
+const CATALOG = {
+  Categories: [['cat_500', '500', '39.00', '38.00', '37.00', '36.00', '35.00', '33.00', '30.00']],
+  Inventory: [
+    ['cat_500', 'SHEIN-AAA1', 'available', '2026-01-01T00:00:00.000Z', ''],
+    ['cat_500', 'SHEIN-AAA2', 'available', '2026-01-01T00:00:00.000Z', ''],
+    ['cat_500', 'SHEIN-AAA3', 'available', '2026-01-01T00:00:00.000Z', ''],
+  ],
+};
+
+// Verified buyer, two codes of ₹500, proof and UTR sent: returns the Pending order's ID.
+async function placeOrder(shop) {
+  await shop.verify(BUYER);
+  await shop.send(BUYER, '🛍️ Buy Vouchers');
+  await shop.press(BUYER, 'select_cat_cat_500');
+  await shop.press(BUYER, 'qty_btn_2_cat_500');
+  await shop.press(BUYER, 'submit_proof');
+  await shop.sendPhoto(BUYER, 'proof-1');
+  await shop.send(BUYER, '123456789012');
+  return shop.sheets.rows('Orders')[0].OrderID;
+}
+
+test('a new user joins, solves the captcha and is saved as verified', async (t) => {
+  const shop = await startTestBot();
+  t.after(() => shop.stop());
+
+  const welcome = await shop.send(BUYER, '/start');
+  assert.match(welcome.text, /Welcome to Shein Voucher Hub/);
+  assert.ok(buttonsOf(welcome).some(button => button.callback_data === 'check_join'));
+
+  const captcha = await shop.press(BUYER, 'check_join');
+  assert.match(captcha.text, /Security Check/);
+
+  assert.match((await shop.send(BUYER, '999')).text, /Security Check/); // a wrong answer gets a new question
+  await shop.send(BUYER, String(shop.app.sessions.get(BUYER.id).answer));
+
+  const sent = shop.bot.sentTo(BUYER.id).map(s => s.text);
+  assert.ok(sent.includes('✅ **Verified Successfully!**'));
+  assert.match(sent[sent.length - 1], /Main Menu/);
+  const [user] = shop.sheets.rows('Users');
+  assert.equal(user.UserID, '42');
+  assert.equal(user.Verified, 'Yes');
+  assert.equal(user.Status, 'Active');
+});
+
+test('verification fails until the user has joined the channel', async (t) => {
+  const shop = await startTestBot();
+  t.after(() => shop.stop());
+  shop.bot.respond('getChatMember', () => ({ status: 'left' }));
+
+  await shop.send(BUYER, '/start');
+  assert.match((await shop.press(BUYER, 'check_join')).text, /Verification Failed/);
+  assert.deepEqual(shop.sheets.rows('Users'), []);
+  assert.match((await shop.send(BUYER, '🛍️ Buy Vouchers')).text, /Please verify first/);
+});
+
+test('buy, pay, approve: the buyer gets the codes and the channel a masked announcement', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  await shop.verify(BUYER);
+
+  const menu = await shop.send(BUYER, '🛍️ Buy Vouchers');
+  assert.ok(buttonsOf(menu).some(button => button.callback_data === 'select_cat_cat_500'));
+  assert.match((await shop.press(BUYER, 'select_cat_cat_500')).text, /Available stock: 3 codes/);
+
+  const summary = await shop.press(BUYER, 'qty_btn_2_cat_500');
+  assert.match(summary.text, /Total: ₹76\.00/); // the 2-code tier price
+  assert.match(summary.text, /shop@upi/);
+  assert.equal(shop.sheets.rows('Reservations')[0].Status, 'Active');
+
+  const askProof = await shop.press(BUYER, 'submit_proof');
+  const [started] = shop.sheets.rows('Orders');
+  assert.equal(started.Status, 'Awaiting Proof');
+  assert.ok(askProof.text.includes(started.OrderID));
+
+  assert.match((await shop.send(BUYER, 'here you go')).text, /not a photo/);
+  assert.match((await shop.sendPhoto(BUYER, 'proof-1')).text, /Screenshot received/);
+  assert.match((await shop.send(BUYER, '12345')).text, /Invalid UTR/);
+  assert.match((await shop.send(BUYER, '123456789012')).text, /Order Submitted/);
+
+  const [pending] = shop.sheets.rows('Orders');
+  assert.equal(pending.OrderID, started.OrderID);
+  assert.equal(pending.Status, 'Pending');
+  assert.equal(pending.UTR, '123456789012');
+  assert.equal(pending.ProofFileID, 'proof-1');
+  assert.equal(pending.Amount, '76.00');
+
+  const alert = shop.bot.lastTo(ADMIN.id);
+  assert.equal(alert.method, 'sendPhoto');
+  assert.ok(buttonsOf(alert).some(button => button.callback_data === `adm_approve_${pending.OrderID}`));
+
+  await shop.press(ADMIN, `adm_approve_${pending.OrderID}`);
+  assert.ok(shop.bot.sentTo(ADMIN.id).some(s => s.text.includes(`Order \`${pending.OrderID}\` approved. 2 codes delivered.`)));
+  const delivery = shop.bot.lastTo(BUYER.id);
+  assert.match(delivery.text, /Order Approved!/);
+  assert.ok(delivery.text.includes('`SHEIN-AAA1`') && delivery.text.includes('`SHEIN-AAA2`'));
+
+  const [order] = shop.sheets.rows('Orders');
+  assert.equal(order.Status, 'Successful');
+  assert.equal(order.VoucherCodeDelivered, 'SHEIN-AAA1\nSHEIN-AAA2');
+  assert.deepEqual(shop.sheets.rows('Inventory').map(item => [item.Code, item.Status, item.OrderID]), [
+    ['SHEIN-AAA1', 'sold', order.OrderID],
+    ['SHEIN-AAA2', 'sold', order.OrderID],
+    ['SHEIN-AAA3', 'available', ''],
+  ]);
+  assert.equal(shop.sheets.rows('Reservations')[0].Status, 'Consumed');
+
+  // A second tap on Approve must not deliver again.
+  await shop.press(ADMIN, `adm_approve_${order.OrderID}`);
+  assert.match(shop.bot.lastTo(ADMIN.id).text, /already \*\*Successful\*\*/);
+
+  await shop.app.scheduler.run('announcing order changes');
+  const announcement = shop.bot.lastTo('@OrdersNotify');
+  assert.match(announcement.text, /Order Approved/);
+  assert.match(announcement.text, /Buyer: P•••/);
+  assert.ok(!announcement.text.includes('Priya'));
+  assert.ok(!announcement.text.includes('SHEIN-AAA'));
+  assert.equal(shop.sheets.rows('Orders')[0].Announced, 'done');
+
+  shop.bot.clear();
+  await shop.app.scheduler.run('announcing order changes');
+  assert.deepEqual(shop.bot.sentTo('@OrdersNotify'), []);
+});
+
+test('recover shows the codes of a delivered order, and nothing of another user\'s', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  const orderId = await placeOrder(shop);
+
+  await shop.send(BUYER, '🔄 Recover Vouchers');
+  assert.match((await shop.send(BUYER, orderId)).text, /Status: \*\*Pending\*\*/);
+
+  await shop.press(ADMIN, `adm_approve_${orderId}`);
+  assert.match((await shop.send(BUYER, '🔄 Recover Vouchers')).text, /Send the \*\*Order ID\*\*/);
+  const recovered = await shop.send(BUYER, orderId.toLowerCase());
+  assert.match(recovered.text, /Vouchers Found!/);
+  assert.ok(recovered.text.includes('`SHEIN-AAA1`\n`SHEIN-AAA2`'));
+
+  const stranger = { id: 77, is_bot: false, first_name: 'Ravi' };
+  await shop.verify(stranger);
+  await shop.send(stranger, '🔄 Recover Vouchers');
+  const refused = await shop.send(stranger, orderId);
+  assert.match(refused.text, /Order not found!/);
+  assert.ok(!refused.text.includes('SHEIN-AAA'));
+});
+
+test('a declined order releases its codes and tells the buyer why', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  const orderId = await placeOrder(shop);
+
+  assert.match((await shop.press(ADMIN, `adm_decline_${orderId}`)).text, /Type the reason/);
+  await shop.send(ADMIN, 'Amount not received (wrong_amount)');
+
+  const [order] = shop.sheets.rows('Orders');
+  assert.equal(order.Status, 'Declined');
+  assert.equal(order.DeclineReason, 'Amount not received (wrong_amount)');
+  assert.ok(shop.bot.sentTo(BUYER.id).some(s => s.text.includes('Amount not received (wrong\\_amount)')));
+  assert.equal(shop.sheets.rows('Reservations')[0].Status, 'Released');
+  assert.ok(shop.sheets.rows('Inventory').every(item => item.Status === 'available'));
+
+  await shop.send(BUYER, '🔄 Recover Vouchers');
+  assert.match((await shop.send(BUYER, orderId)).text, /Status: \*\*Declined\*\*\nReason: Amount not received \(wrong\\_amount\)/);
+});
+
+test('an order with no proof expires and the buyer is told once', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  await shop.verify(BUYER);
+  await shop.send(BUYER, '🛍️ Buy Vouchers');
+  await shop.press(BUYER, 'select_cat_cat_500');
+  await shop.press(BUYER, 'qty_btn_1_cat_500');
+  await shop.press(BUYER, 'submit_proof');
+
+  // Backdate the order past PROOF_TIMEOUT_MINUTES.
+  const orders = shop.sheets.tabs.Orders.rows;
+  orders[1][orders[0].indexOf('Date')] = new Date(Date.now() - 2 * 60 * 60 * 1000).toLocaleString();
+
+  await shop.app.scheduler.run('expiring unpaid orders');
+  assert.equal(shop.sheets.rows('Orders')[0].Status, 'Expired');
+  assert.equal(shop.app.sessions.get(BUYER.id), undefined);
+
+  await shop.app.scheduler.run('announcing order changes');
+  await shop.app.scheduler.run('announcing order changes');
+  const notices = shop.bot.sentTo(BUYER.id).filter(s => /Order Expired/.test(s.text));
+  assert.equal(notices.length, 1);
+  assert.deepEqual(shop.bot.sentTo('@OrdersNotify'), []);
+
+  // A late screenshot no longer goes anywhere near the expired order.
+  await shop.sendPhoto(BUYER, 'late-proof');
+  assert.equal(shop.sheets.rows('Orders')[0].ProofFileID, '');
+});
+
+test('my orders lists the buyer\'s orders with the voucher value', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  const orderId = await placeOrder(shop);
+
+  const list = await shop.send(BUYER, '📦 My Orders');
+  assert.match(list.text, /My Orders\*\* \(page 1\/1\)/);
+  assert.ok(list.text.includes(`\`${orderId}\`\n₹500 voucher x2 - ₹76.00\nPending`));
+  assert.deepEqual(shop.bot.rejected(), []);
+});
+
+test('admins are reminded once about an order left pending', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG, env: { PENDING_REMINDER_MINUTES: '30' } });
+  t.after(() => shop.stop());
+  const orderId = await placeOrder(shop);
+
+  // Backdate the order past PENDING_REMINDER_MINUTES.
+  const orders = shop.sheets.tabs.Orders.rows;
+  orders[1][orders[0].indexOf('Date')] = new Date(Date.now() - 45 * 60 * 1000).toLocaleString();
+
+  // A reminder that can't be sent is tried again on the next run.
+  shop.bot.respond('sendMessage', () => { throw new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user'); });
+  await shop.app.scheduler.run('reminding about pending orders');
+  assert.equal(shop.sheets.rows('Orders')[0].RemindedAt, '');
+
+  shop.bot.respond('sendMessage', params => ({ message_id: 1, chat: { id: params.chat_id }, text: params.text }));
+  shop.bot.clear();
+  await shop.app.scheduler.run('reminding about pending orders');
+  const reminder = shop.bot.lastTo(ADMIN.id);
+  assert.match(reminder.text, /1 order pending for over 30 minutes/);
+  assert.ok(reminder.text.includes(`\`${orderId}\` · \`cat_500\` x2 · ₹76.00`));
+  assert.ok(buttonsOf(reminder).some(button => button.callback_data === `adm_approve_${orderId}`));
+  assert.notEqual(shop.sheets.rows('Orders')[0].RemindedAt, '');
+
+  shop.bot.clear();
+  await shop.app.scheduler.run('reminding about pending orders');
+  assert.deepEqual(shop.bot.sentTo(ADMIN.id), []);
+});
+
+test('a support message with Markdown characters still reaches the admins', async (t) => {
+  const shop = await startTestBot();
+  t.after(() => shop.stop());
+  const buyer = { ...BUYER, first_name: 'priya_k' };
+  await shop.verify(buyer);
+
+  await shop.send(buyer, '🆘 Support');
+  assert.match((await shop.send(buyer, 'where is my order_id *SVH123')).text, /forwarded to Admin/);
+  const [ticket] = shop.sheets.rows('Tickets');
+  const alert = shop.bot.lastTo(ADMIN.id);
+  assert.ok(alert.text.includes(`Ticket ${ticket.TicketID}`));
+  assert.ok(alert.text.includes('priya\\_k'));
+  assert.ok(alert.text.includes('where is my order\\_id \\*SVH123'));
+
+  shop.bot.clear();
+  await shop.press(ADMIN, 'adm_tickets');
+  assert.ok(shop.bot.lastTo(ADMIN.id).text.includes('where is my order\\_id \\*SVH123'));
+  assert.match((await shop.press(ADMIN, `adm_tk_reply_${ticket.TicketID}`)).text, /Reply to TK\w+\*\* · priya\\_k/);
+});
+
+test('a blocked buyer\'s checkout is dropped and its old buttons refused', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  await shop.verify(BUYER);
+  await shop.send(BUYER, '🛍️ Buy Vouchers');
+  await shop.press(BUYER, 'select_cat_cat_500');
+  await shop.press(BUYER, 'qty_btn_2_cat_500');
+
+  await shop.press(ADMIN, 'adm_block_prompt');
+  await shop.send(ADMIN, String(BUYER.id));
+  assert.equal(shop.sheets.rows('Users')[0].Status, 'Blocked');
+  assert.equal(shop.sheets.rows('Reservations')[0].Status, 'Released');
+  assert.equal(shop.app.sessions.get(BUYER.id), undefined);
+
+  for (const data of ['submit_proof', 'select_cat_cat_500', 'check_join']) {
+    assert.match((await shop.press(BUYER, data)).text, /Access Denied/);
+  }
+  assert.deepEqual(shop.sheets.rows('Orders'), []);
+  assert.equal(shop.sheets.rows('Users')[0].Status, 'Blocked');
+
+  await shop.send(BUYER, '🆘 Support');
+  assert.match((await shop.send(BUYER, 'why was I blocked?')).text, /forwarded to Admin/);
+});
+
+test('the "I\'ve Paid" button of a summary left with Back no longer starts an order', async (t) => {
+  const shop = await startTestBot({ tables: CATALOG });
+  t.after(() => shop.stop());
+  await shop.verify(BUYER);
+  await shop.send(BUYER, '🛍️ Buy Vouchers');
+  await shop.press(BUYER, 'select_cat_cat_500');
+  await shop.press(BUYER, 'qty_btn_2_cat_500');
+  await shop.press(BUYER, 'select_cat_cat_500'); // Back to the quantity picker
+
+  assert.match((await shop.press(BUYER, 'submit_proof')).text, /checkout session has expired/);
+  assert.deepEqual(shop.sheets.rows('Orders'), []);
+});